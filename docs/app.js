@@ -2,7 +2,7 @@
    Global state
 ------------------------------ */
 let SP = null;          // { monthly: [{month, open, close}], meta: {firstMonth,lastMonth} }
-let INF = null;         // { byYear: Map(year->avgPct), meta: {firstYear,lastYear,overallAvgPct} }
+let INF = null;         // { byYear: Map(year->avgPct), byMonth: Map("YYYY-MM"->pct), meta: {firstYear,lastYear,overallAvgPct} }
 let META = null;
 
 let dcaChart, retChart, successChart, infChart, infSweepChart;
@@ -157,17 +157,26 @@ function buildMonthlyFromDaily(dailyRows) {
 }
 
 /* -----------------------------
-   Inflation: use Ave column (annual avg %)
-   Expected columns: Year ... Ave
+   Inflation: Ave column (annual avg %) plus the Jan–Dec columns
+   (each month's year-over-year %), when present
+   Expected columns: Year, Jan ... Dec, Ave
 ------------------------------ */
+const MONTH_COLUMNS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
 function loadInflationAnnual(rows) {
   const byYear = new Map();
+  const byMonth = new Map();
 
   // Detect keys
   for (const r of rows) {
     const year = pickField(r, ["Year", "year"]);
     if (!Number.isFinite(year)) continue;
 
+    MONTH_COLUMNS.forEach((name, k) => {
+      const v = pickField(r, [name]);
+      if (Number.isFinite(v)) byMonth.set(`${year}-${String(k + 1).padStart(2, "0")}`, Number(v));
+    });
+
     // Ave could be "Ave" or "Avg" etc
     let ave = pickField(r, ["Ave", "AVE", "Avg", "Average", "avg"]);
     if (!Number.isFinite(ave)) {
@@ -193,6 +202,7 @@ function loadInflationAnnual(rows) {
 
   return {
     byYear,
+    byMonth,
     meta: {
       firstYear,
       lastYear,
@@ -239,10 +249,55 @@ function monthlyInflRateFromAnnualPct(annualPct) {
   return Math.pow(1 + a, 1 / 12) - 1;
 }
 
+/* -----------------------------
+   Historical CPI, one rate per month (same as the server): the month's own
+   year-over-year rate compounded monthly, or its year's average when the
+   month is missing. null where no CPI data is loaded.
+------------------------------ */
+function monthlyCpiRates(monthly) {
+  return monthly.map(m => {
+    const pct = INF.byMonth?.get(m.month) ?? INF.byYear.get(Number(m.month.slice(0, 4)));
+    return Number.isFinite(pct) ? monthlyInflRateFromAnnualPct(pct) : null;
+  });
+}
+
+/* -----------------------------
+   Real (start-date) dollars
+   Values are divided by CPI growth since the start month.
+------------------------------ */
+function buildCpiRates(monthly, units) {
+  return units === "real" ? monthlyCpiRates(monthly) : null;
+}
+
+function nextCpi(cpi, cpiRates, i, monthStr) {
+  if (!cpiRates) return cpi;
+  if (cpiRates[i] === null) throw new Error(`No inflation data for ${monthStr}`);
+  return cpi * (1 + cpiRates[i]);
+}
+
+/* -----------------------------
+   Inflation that indexes spending (inflation-adjusted and endowment modes):
+   the fixed assumption, or with "historical" the same monthly CPI rates
+   that real units are deflated by
+------------------------------ */
+function buildIndexRates(monthly, inflationSource) {
+  return inflationSource === "historical" ? monthlyCpiRates(monthly) : null;
+}
+
+function spendingInflation(monthlyInfl, indexRates, i, monthStr) {
+  if (!indexRates) return monthlyInfl;
+  if (indexRates[i] === null) throw new Error(`No inflation data for ${monthStr}`);
+  return indexRates[i];
+}
+
+function dollarsTitle(label, units) {
+  return units === "real" ? `${label} (start-date $)` : `${label} ($)`;
+}
+
 /* -----------------------------
    Simulations
 ------------------------------ */
-function runDcaMonthly({ monthly, initialLumpSum, monthlyContribution, startMonth, endMonth }) {
+function runDcaMonthly({ monthly, initialLumpSum, monthlyContribution, startMonth, endMonth, units }) {
   const startIdx = findMonthIndex(monthly, startMonth);
   const endIdx = findMonthIndex(monthly, endMonth);
   if (startIdx < 0) throw new Error(`Start month not found: ${startMonth}`);
@@ -250,19 +305,22 @@ function runDcaMonthly({ monthly, initialLumpSum, monthlyContribution, startMont
   if (startIdx > endIdx) throw new Error("Start month must be <= end month");
 
   const returns = buildMonthlyReturns(monthly);
+  const cpiRates = buildCpiRates(monthly, units);
 
   let balance = Number.isFinite(initialLumpSum) ? initialLumpSum : 0;
   let contributed = balance;
+  let cpi = 1;
 
   const series = [];
   for (let i = startIdx; i <= endIdx; i++) {
+    cpi = nextCpi(cpi, cpiRates, i, monthly[i].month);
     balance *= (1 + returns[i]);
     balance += monthlyContribution;
-    contributed += monthlyContribution;
-    series.push({ month: monthly[i].month, value: balance });
+    contributed += monthlyContribution / cpi;
+    series.push({ month: monthly[i].month, value: balance / cpi });
   }
 
-  return { contributed, endingValue: balance, series };
+  return { contributed, endingValue: balance / cpi, series };
 }
 
 function computeWithdrawal({
@@ -278,7 +336,10 @@ function computeWithdrawal({
   // guardrails
   guardrailsState,
   guardrailsCfg,
-  ytdReturnAfterMarket
+  ytdReturnAfterMarket,
+  // endowment smoothing
+  endowmentState,
+  year
 }) {
   if (!isWithdrawalMonth) return { withdrawal: 0, guardrailsRate: guardrailsState?.currentRate ?? null };
 
@@ -306,9 +367,31 @@ function computeWithdrawal({
     return { withdrawal: w, guardrailsRate: guardrailsState.currentRate };
   }
 
+  // Endowment (Yale) smoothing, decided once per run year:
+  // weight × last year's spending (inflation-adjusted) + (1 - weight) × rate × current balance.
+  if (mode === "endowment") {
+    const s = endowmentState;
+    if (s.lastDecisionYear !== year) {
+      const target = balanceAfterMarket * withdrawRateDecimal;
+      s.annualSpending = s.annualSpending === null
+        ? target
+        : s.weight * s.annualSpending * s.inflation + (1 - s.weight) * target;
+      s.lastDecisionYear = year;
+      s.inflation = 1;
+    }
+    return { withdrawal: frequency === "monthly" ? s.annualSpending / 12 : s.annualSpending, guardrailsRate: null };
+  }
+
   throw new Error(`Unknown mode: ${mode}`);
 }
 
+function createEndowmentState(withdrawMode, endowmentWeightPct) {
+  if (withdrawMode !== "endowment") return null;
+  const weight = Number.isFinite(endowmentWeightPct) ? endowmentWeightPct : 70;
+  if (weight < 0 || weight >= 100) throw new Error("Endowment weight must be >= 0 and < 100");
+  return { weight: weight / 100, annualSpending: null, lastDecisionYear: null, inflation: 1 };
+}
+
 function runRetirementMonthly({
   monthly,
   initialBalance,
@@ -317,12 +400,17 @@ function runRetirementMonthly({
   withdrawMode,
   withdrawPct,
   withdrawFrequency,
-  // inflation-adjusted option
+  // inflation-adjusted option: "fixed" (annualInflationPct) | "historical" (CPI)
   annualInflationPct,
+  inflationSource = "fixed",
   // guardrails option
   guardrailsMinPct,
   guardrailsMaxPct,
-  guardrailsMinDollar
+  guardrailsMinDollar,
+  // endowment option: weight on last year's spending (%)
+  endowmentWeightPct,
+  // "nominal" | "real"
+  units
 }) {
   const startIdx = findMonthIndex(monthly, startMonth);
   if (startIdx < 0) throw new Error(`Start month not found: ${startMonth}`);
@@ -331,6 +419,8 @@ function runRetirementMonthly({
   if (endIdxExclusive > monthly.length) throw new Error(`Not enough data for ${durationYears} years from ${startMonth}`);
 
   const returns = buildMonthlyReturns(monthly);
+  const cpiRates = buildCpiRates(monthly, units);
+  const indexRates = buildIndexRates(monthly, inflationSource);
 
   const withdrawRateDecimal = (withdrawPct / 100);
   if (!Number.isFinite(withdrawRateDecimal) || withdrawRateDecimal <= 0) throw new Error("Withdraw % must be > 0");
@@ -362,9 +452,12 @@ function runRetirementMonthly({
     guardrailsCfg.minDollarFloor = Number.isFinite(guardrailsMinDollar) ? Math.max(0, guardrailsMinDollar) : 0;
   }
 
+  const endowmentState = createEndowmentState(withdrawMode, endowmentWeightPct);
+
   let balance = initialBalance;
   let success = true;
   let totalWithdrawn = 0;
+  let cpi = 1;
 
   let highestBalance = balance;
   let lowestBalance = balance;
@@ -372,26 +465,28 @@ function runRetirementMonthly({
   let peak = balance;
   let maxDrawdown = 0;
 
-  let currentYear = Number(monthly[startIdx].month.slice(0, 4));
+  // Annual withdrawals and decisions fall on the start's anniversary, so years are run years
+  let currentYear = 0;
   let yearStartBalance = balance;
 
   const series = [];
 
   for (let i = startIdx; i < endIdxExclusive; i++) {
     const monthStr = monthly[i].month;
-    const y = Number(monthStr.slice(0, 4));
-    const m = Number(monthStr.slice(5, 7));
+    const runYear = Math.floor((i - startIdx) / 12);
 
-    if (y !== currentYear) {
-      currentYear = y;
+    if (runYear !== currentYear) {
+      currentYear = runYear;
       yearStartBalance = balance;
     }
 
+    cpi = nextCpi(cpi, cpiRates, i, monthStr);
+
     // market return
     balance *= (1 + returns[i]);
     const ytdReturnAfterMarket = yearStartBalance > 0 ? (balance / yearStartBalance - 1) : 0;
 
-    const isWithdrawalMonth = withdrawFrequency === "monthly" ? true : (m === 1);
+    const isWithdrawalMonth = withdrawFrequency === "monthly" ? true : (i - startIdx) % 12 === 0;
 
     const { withdrawal, guardrailsRate } = computeWithdrawal({
       mode: withdrawMode,
@@ -404,44 +499,57 @@ function runRetirementMonthly({
       inflationFactor,
       guardrailsState,
       guardrailsCfg,
-      ytdReturnAfterMarket
+      ytdReturnAfterMarket,
+      endowmentState,
+      year: runYear
     });
 
     const w = Math.min(balance, Math.max(0, withdrawal));
     balance -= w;
-    totalWithdrawn += w;
+    totalWithdrawn += w / cpi;
 
     if (balance <= 0) {
       balance = 0;
       success = false;
     }
 
-    highestBalance = Math.max(highestBalance, balance);
-    lowestBalance = Math.min(lowestBalance, balance);
+    const reported = balance / cpi;
+
+    highestBalance = Math.max(highestBalance, reported);
+    lowestBalance = Math.min(lowestBalance, reported);
 
-    peak = Math.max(peak, balance);
-    const dd = peak > 0 ? (peak - balance) / peak : 0;
+    peak = Math.max(peak, reported);
+    const dd = peak > 0 ? (peak - reported) / peak : 0;
     maxDrawdown = Math.max(maxDrawdown, dd);
 
     series.push({
       month: monthStr,
-      value: balance,
-      withdrawal: w,
+      value: reported,
+      withdrawal: w / cpi,
       guardrailsRatePct: guardrailsRate !== null ? guardrailsRate * 100 : null,
       inflationFactor: withdrawMode === "percentOfCurrent" ? inflationFactor : null
     });
 
     // Apply “prior month inflation” to NEXT month’s withdrawal target:
+    const monthInfl = spendingInflation(monthlyInfl, indexRates, i, monthStr);
     if (withdrawMode === "percentOfCurrent") {
-      inflationFactor *= (1 + monthlyInfl);
+      inflationFactor *= (1 + monthInfl);
     }
+    if (endowmentState) endowmentState.inflation *= (1 + monthInfl);
 
     if (!success) break;
   }
 
-  return { success, totalWithdrawn, endingValue: balance, maxDrawdown, highestBalance, lowestBalance, series };
+  return { success, totalWithdrawn, endingValue: balance / cpi, maxDrawdown, highestBalance, lowestBalance, series };
 }
 
+// Calendar months (1-12) each start cadence begins runs in
+const START_CADENCE_MONTHS = {
+  annual: [1],
+  quarterly: [1, 4, 7, 10],
+  monthly: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]
+};
+
 function runRetirementSuccessByStartYear({
   monthly,
   initialBalance,
@@ -450,11 +558,22 @@ function runRetirementSuccessByStartYear({
   withdrawPct,
   withdrawFrequency,
   annualInflationPct,
+  inflationSource = "fixed",
   guardrailsMinPct,
   guardrailsMaxPct,
-  guardrailsMinDollar
+  guardrailsMinDollar,
+  endowmentWeightPct,
+  // "nominal" | "real" (each start year in its own start-year dollars)
+  units,
+  // "annual" (January) | "quarterly" (Jan/Apr/Jul/Oct) | "monthly": which months start a run
+  startCadence = "annual"
 }) {
+  const startMonths = START_CADENCE_MONTHS[startCadence];
+  if (!startMonths) throw new Error("Unknown start cadence");
+
   const returns = buildMonthlyReturns(monthly);
+  const cpiRates = buildCpiRates(monthly, units);
+  const indexRates = buildIndexRates(monthly, inflationSource);
 
   const withdrawRateDecimal = (withdrawPct / 100);
   if (!Number.isFinite(withdrawRateDecimal) || withdrawRateDecimal <= 0) throw new Error("Withdraw % must be > 0");
@@ -467,16 +586,18 @@ function runRetirementSuccessByStartYear({
   let highestBalanceHit = -Infinity;
   let lowestBalanceHit = Infinity;
 
-  for (let startIdx = 0; startIdx < monthly.length; startIdx++) {
+  // Index 0 has no prior close, so it carries no real return and never starts a run.
+  for (let startIdx = 1; startIdx < monthly.length; startIdx++) {
     const ms = monthly[startIdx].month;
     const m = Number(ms.slice(5, 7));
-    if (m !== 1) continue; // January starts only
+    if (!startMonths.includes(m)) continue;
 
     const endIdxExclusive = startIdx + durationYears * 12;
     if (endIdxExclusive > monthly.length) break;
 
     let balance = initialBalance;
     let success = true;
+    let cpi = 1;
 
     let highest = balance;
     let lowest = balance;
@@ -503,23 +624,25 @@ function runRetirementSuccessByStartYear({
       guardrailsCfg.minDollarFloor = Number.isFinite(guardrailsMinDollar) ? Math.max(0, guardrailsMinDollar) : 0;
     }
 
-    let currentYear = Number(ms.slice(0, 4));
+    const endowmentState = createEndowmentState(withdrawMode, endowmentWeightPct);
+
+    let currentYear = 0;
     let yearStartBalance = balance;
 
     for (let i = startIdx; i < endIdxExclusive; i++) {
       const monthStr = monthly[i].month;
-      const y = Number(monthStr.slice(0, 4));
-      const mon = Number(monthStr.slice(5, 7));
+      const runYear = Math.floor((i - startIdx) / 12);
 
-      if (y !== currentYear) {
-        currentYear = y;
+      if (runYear !== currentYear) {
+        currentYear = runYear;
         yearStartBalance = balance;
       }
 
+      cpi = nextCpi(cpi, cpiRates, i, monthStr);
       balance *= (1 + returns[i]);
       const ytdReturnAfterMarket = yearStartBalance > 0 ? (balance / yearStartBalance - 1) : 0;
 
-      const isWithdrawalMonth = withdrawFrequency === "monthly" ? true : (mon === 1);
+      const isWithdrawalMonth = withdrawFrequency === "monthly" ? true : (i - startIdx) % 12 === 0;
 
       const { withdrawal } = computeWithdrawal({
         mode: withdrawMode,
@@ -532,7 +655,9 @@ function runRetirementSuccessByStartYear({
         inflationFactor,
         guardrailsState,
         guardrailsCfg,
-        ytdReturnAfterMarket
+        ytdReturnAfterMarket,
+        endowmentState,
+        year: runYear
       });
 
       const w = Math.min(balance, Math.max(0, withdrawal));
@@ -544,12 +669,14 @@ function runRetirementSuccessByStartYear({
         break;
       }
 
-      highest = Math.max(highest, balance);
-      lowest = Math.min(lowest, balance);
+      highest = Math.max(highest, balance / cpi);
+      lowest = Math.min(lowest, balance / cpi);
 
+      const monthInfl = spendingInflation(monthlyInfl, indexRates, i, monthStr);
       if (withdrawMode === "percentOfCurrent") {
-        inflationFactor *= (1 + monthlyInfl);
+        inflationFactor *= (1 + monthInfl);
       }
+      if (endowmentState) endowmentState.inflation *= (1 + monthInfl);
     }
 
     highestBalanceHit = Math.max(highestBalanceHit, highest);
@@ -558,13 +685,14 @@ function runRetirementSuccessByStartYear({
     const startYear = Number(ms.slice(0, 4));
     results.push({
       startYear,
+      startMonth: ms,
       passed: success,
       startingBalance: initialBalance,
       highestBalance: highest,
       lowestBalance: lowest,
-      endingBalance: balance
+      endingBalance: balance / cpi
     });
-    endingBalances.push(balance);
+    endingBalances.push(balance / cpi);
   }
 
   const total = results.length;
@@ -572,7 +700,11 @@ function runRetirementSuccessByStartYear({
 
   return {
     summary: {
-      totalStartYearsTested: total,
+      startCadence,
+      // Every start tested: one per year at the annual cadence, 4 or 12 at the finer ones
+      totalStartsTested: total,
+      // Distinct calendar years with at least one start
+      totalStartYearsTested: new Set(results.map(r => r.startYear)).size,
       successes,
       successRate: total ? successes / total : 0,
       averageEndingBalance: total ? endingBalances.reduce((a, b) => a + b, 0) / total : null,
@@ -858,6 +990,8 @@ function toggleRetirementModeUI() {
   const gr = document.getElementById("retGuardrailsBox");
   const more = document.getElementById("retMore");
   const inflOpts = document.getElementById("retInflOpts");
+  const endowOpts = document.getElementById("retEndowOpts");
+  const indexed = mode === "percentOfCurrent" || mode === "endowment";
 
   if (mode === "guardrails") {
     std.style.display = "none";
@@ -867,9 +1001,10 @@ function toggleRetirementModeUI() {
     gr.style.display = "none";
   }
 
-  // Hide “more options” unless inflation-adjusted spending is selected
-  if (more) more.style.display = (mode === "percentOfCurrent") ? "block" : "none";
-  if (inflOpts) inflOpts.style.display = (mode === "percentOfCurrent") ? "grid" : "none";
+  // Hide “more options” unless an inflation-adjusted method is selected
+  if (more) more.style.display = indexed ? "block" : "none";
+  if (inflOpts) inflOpts.style.display = indexed ? "grid" : "none";
+  if (endowOpts) endowOpts.style.display = (mode === "endowment") ? "grid" : "none";
 }
 
 function toggleSuccessModeUI() {
@@ -878,6 +1013,8 @@ function toggleSuccessModeUI() {
   const gr = document.getElementById("sGuardrailsBox");
   const more = document.getElementById("sMore");
   const inflOpts = document.getElementById("sInflOpts");
+  const endowOpts = document.getElementById("sEndowOpts");
+  const indexed = mode === "percentOfCurrent" || mode === "endowment";
 
   if (mode === "guardrails") {
     std.style.display = "none";
@@ -887,8 +1024,9 @@ function toggleSuccessModeUI() {
     gr.style.display = "none";
   }
 
-  if (more) more.style.display = (mode === "percentOfCurrent") ? "block" : "none";
-  if (inflOpts) inflOpts.style.display = (mode === "percentOfCurrent") ? "grid" : "none";
+  if (more) more.style.display = indexed ? "block" : "none";
+  if (inflOpts) inflOpts.style.display = indexed ? "grid" : "none";
+  if (endowOpts) endowOpts.style.display = (mode === "endowment") ? "grid" : "none";
 }
 
 /* -----------------------------
@@ -899,13 +1037,15 @@ async function runDca() {
   const monthlyContribution = Number(document.getElementById("dcaMonthly").value);
   const startMonth = document.getElementById("dcaStart").value;
   const endMonth = document.getElementById("dcaEnd").value;
+  const units = document.getElementById("dcaUnits").value;
 
   const out = runDcaMonthly({
     monthly: SP.monthly,
     initialLumpSum: Number.isFinite(initialLumpSum) ? Math.max(0, initialLumpSum) : 0,
     monthlyContribution,
     startMonth,
-    endMonth
+    endMonth,
+    units
   });
 
   setStats(document.getElementById("dcaStats"), [
@@ -921,7 +1061,7 @@ async function runDca() {
   if (dcaChart) dcaChart.destroy();
   dcaChart = makeLineChart(document.getElementById("dcaChart"), labels, [
     { label: "Portfolio value", data: values, tension: 0.2, pointRadius: 0 }
-  ], "Portfolio value ($)");
+  ], dollarsTitle("Portfolio value", units));
 }
 
 async function runRetirement() {
@@ -930,11 +1070,14 @@ async function runRetirement() {
   const durationYears = Number(document.getElementById("retYears").value);
   const withdrawMode = document.getElementById("retMode").value;
   const withdrawFrequency = document.getElementById("retFreq").value;
+  const units = document.getElementById("retUnits").value;
 
   let withdrawPct;
   let annualInflationPct = 3;
+  let inflationSource = "fixed";
 
   let guardrailsMinPct, guardrailsMaxPct, guardrailsMinDollar;
+  let endowmentWeightPct;
 
   if (withdrawMode === "guardrails") {
     withdrawPct = Number(document.getElementById("retGStartPct").value);
@@ -944,9 +1087,14 @@ async function runRetirement() {
     guardrailsMinDollar = raw === "" ? 0 : Number(raw);
   } else {
     withdrawPct = Number(document.getElementById("retWithdrawValue").value);
-    if (withdrawMode === "percentOfCurrent") {
+    if (withdrawMode === "percentOfCurrent" || withdrawMode === "endowment") {
       const raw = document.getElementById("retAnnualInfl").value;
       annualInflationPct = raw === "" ? 3 : Number(raw);
+      inflationSource = document.getElementById("retInflSource").value;
+    }
+    if (withdrawMode === "endowment") {
+      const raw = document.getElementById("retEndowWeight").value;
+      endowmentWeightPct = raw === "" ? 70 : Number(raw);
     }
   }
 
@@ -959,9 +1107,12 @@ async function runRetirement() {
     withdrawPct,
     withdrawFrequency,
     annualInflationPct,
+    inflationSource,
     guardrailsMinPct,
     guardrailsMaxPct,
-    guardrailsMinDollar
+    guardrailsMinDollar,
+    endowmentWeightPct,
+    units
   });
 
   setStats(document.getElementById("retStats"), [
@@ -979,16 +1130,22 @@ async function runRetirement() {
   retChart = makeLineChart(document.getElementById("retChart"), labels, [
     { label: "Portfolio value", data: values, tension: 0.2, pointRadius: 0 },
     { label: "Withdrawal (period)", data: withdrawals, tension: 0.2, pointRadius: 0 }
-  ], "Dollars ($)");
+  ], dollarsTitle("Dollars", units));
+}
+
+// Finer cadences start several runs a year, so they are labelled by month
+function startLabel(r, startCadence) {
+  return startCadence === "annual" ? String(r.startYear) : r.startMonth;
 }
 
-function renderSuccessTable(results) {
+function renderSuccessTable(results, startCadence) {
   const tbody = document.getElementById("successTable").querySelector("tbody");
   tbody.innerHTML = "";
+  document.getElementById("successStartHead").textContent = startCadence === "annual" ? "Start Year" : "Start Month";
   for (const r of results) {
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td>${r.startYear}</td>
+      <td>${startLabel(r, startCadence)}</td>
       <td>${r.passed ? "Passed" : "Failed"}</td>
       <td>${money(r.startingBalance)}</td>
       <td>${money(r.highestBalance)}</td>
@@ -1009,11 +1166,15 @@ async function runSuccess() {
   const durationYears = Number(document.getElementById("sYears").value);
   const withdrawMode = document.getElementById("sMode").value;
   const withdrawFrequency = document.getElementById("sFreq").value;
+  const startCadence = document.getElementById("sCadence").value;
+  const units = document.getElementById("sUnits").value;
 
   let withdrawPct;
   let annualInflationPct = 3;
+  let inflationSource = "fixed";
 
   let guardrailsMinPct, guardrailsMaxPct, guardrailsMinDollar;
+  let endowmentWeightPct;
 
   if (withdrawMode === "guardrails") {
     withdrawPct = Number(document.getElementById("sGStartPct").value);
@@ -1023,9 +1184,14 @@ async function runSuccess() {
     guardrailsMinDollar = raw === "" ? 0 : Number(raw);
   } else {
     withdrawPct = Number(document.getElementById("sWithdrawValue").value);
-    if (withdrawMode === "percentOfCurrent") {
+    if (withdrawMode === "percentOfCurrent" || withdrawMode === "endowment") {
       const raw = document.getElementById("sAnnualInfl").value;
       annualInflationPct = raw === "" ? 3 : Number(raw);
+      inflationSource = document.getElementById("sInflSource").value;
+    }
+    if (withdrawMode === "endowment") {
+      const raw = document.getElementById("sEndowWeight").value;
+      endowmentWeightPct = raw === "" ? 70 : Number(raw);
     }
   }
 
@@ -1037,15 +1203,19 @@ async function runSuccess() {
     withdrawPct,
     withdrawFrequency,
     annualInflationPct,
+    inflationSource,
     guardrailsMinPct,
     guardrailsMaxPct,
-    guardrailsMinDollar
+    guardrailsMinDollar,
+    endowmentWeightPct,
+    units,
+    startCadence
   });
 
   const s = out.summary;
 
   setStats(document.getElementById("successStats"), [
-    { label: "Start years tested", value: s.totalStartYearsTested.toLocaleString() },
+    { label: startCadence === "annual" ? "Start years tested" : "Start months tested", value: s.totalStartsTested.toLocaleString() },
     { label: "Successes", value: s.successes.toLocaleString() },
     { label: "Success rate", value: pct(s.successRate) },
     { label: "Average ending balance", value: money(s.averageEndingBalance) },
@@ -1054,7 +1224,7 @@ async function runSuccess() {
     { label: "Lowest balance hit (any run)", value: money(s.lowestBalanceHit) }
   ]);
 
-  const labels = out.results.map(r => String(r.startYear));
+  const labels = out.results.map(r => startLabel(r, startCadence));
   const passedEnding = out.results.map(r => r.passed ? r.endingBalance : null);
   const failedEnding = out.results.map(r => !r.passed ? r.endingBalance : null);
 
@@ -1062,9 +1232,9 @@ async function runSuccess() {
   successChart = makeBarChart(document.getElementById("successChart"), labels, [
     { label: "Ending balance (passed)", data: passedEnding },
     { label: "Ending balance (failed)", data: failedEnding }
-  ], "Ending balance ($)");
+  ], dollarsTitle("Ending balance", units));
 
-  renderSuccessTable(out.results);
+  renderSuccessTable(out.results, startCadence);
 }
 
 async function runInflationCalc() {
@@ -1209,6 +1379,11 @@ function wireUp() {
     el.addEventListener("change", validateInflationSweep);
   });
 
+  // Units toggles re-run the chart they belong to
+  document.getElementById("dcaUnits").addEventListener("change", () => { try { runDca(); } catch (e) { alert(e.message); } });
+  document.getElementById("retUnits").addEventListener("change", () => { try { runRetirement(); } catch (e) { alert(e.message); } });
+  document.getElementById("sUnits").addEventListener("change", () => { try { runSuccess(); } catch (e) { alert(e.message); } });
+
   document.getElementById("retMode").addEventListener("change", toggleRetirementModeUI);
   document.getElementById("sMode").addEventListener("change", toggleSuccessModeUI);
 
@@ -0,0 +1,163 @@
+const fs = require("fs");
+const { parse } = require("csv-parse/sync");
+
+function toNumber(x) {
+  if (x === null || x === undefined) return null;
+  const s = String(x).trim();
+  if (s === "") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/)[0] || "";
+  const tabs = (firstLine.match(/\t/g) || []).length;
+  const commas = (firstLine.match(/,/g) || []).length;
+  return tabs >= commas ? "\t" : ",";
+}
+
+function normalizeHeader(h) {
+  let s = String(h || "").trim();
+  if (s.charCodeAt(0) === 0xfeff) s = s.slice(1);
+  return s;
+}
+
+// "YYYY-MM", "YYYY-MM-DD" or anything Date can parse -> "YYYY-MM"
+function parseMonth(value) {
+  if (value === null || value === undefined) return null;
+  const s = String(value).trim();
+  const m = s.match(/^(\d{4})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}`;
+
+  const dt = new Date(s);
+  if (Number.isNaN(dt.getTime())) return null;
+  return `${dt.getUTCFullYear()}-${String(dt.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+function monthIndex(month) {
+  return Number(month.slice(0, 4)) * 12 + (Number(month.slice(5, 7)) - 1);
+}
+
+function monthFromIndex(idx) {
+  const y = Math.floor(idx / 12);
+  const m = (idx % 12) + 1;
+  return `${y}-${String(m).padStart(2, "0")}`;
+}
+
+// Modified duration of a par bond with semiannual coupons.
+function parBondDuration(yieldDecimal, maturityYears) {
+  const y = Math.max(yieldDecimal, 1e-6);
+  return (1 - Math.pow(1 + y / 2, -2 * maturityYears)) / y;
+}
+
+// Reads a long-term Treasury yield history (annual or monthly, yields in %) and
+// synthesizes monthly total returns for a constant-maturity par bond:
+// one month of coupon at the prior yield plus a duration-based price change.
+// Annual yields are taken as January values and interpolated linearly between years.
+function loadBondReturnsFromCsv(csvPath, { maturityYears = 10 } = {}) {
+  if (!fs.existsSync(csvPath)) {
+    throw new Error(`Bond yields CSV not found at: ${csvPath}`);
+  }
+
+  const raw = fs.readFileSync(csvPath, "utf8");
+  const delimiter = detectDelimiter(raw);
+
+  const records = parse(raw, {
+    columns: (hdrs) => hdrs.map(normalizeHeader),
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    delimiter
+  });
+
+  let dateKey = null;
+  let yearKey = null;
+  let yieldKey = null;
+
+  if (records.length) {
+    const keys = Object.keys(records[0]);
+    const lower = (k) => k.toLowerCase();
+
+    dateKey = keys.find((k) => ["date", "month", "observation_date"].includes(lower(k))) || null;
+    yearKey = dateKey ? null : keys.find((k) => lower(k) === "year") || null;
+    yieldKey =
+      keys.find((k) => ["yield", "gs10", "gs20", "ltgovtbd", "rate", "value"].includes(lower(k))) ||
+      keys.find((k) => lower(k).includes("yield")) ||
+      null;
+  }
+
+  if ((!dateKey && !yearKey) || !yieldKey) {
+    throw new Error(
+      "Bond yields CSV must include a date/month or year column and a yield column (yield %)."
+    );
+  }
+
+  const points = new Map(); // month index -> yield %
+  for (const r of records) {
+    const y = toNumber(r[yieldKey]);
+    if (y === null) continue;
+
+    if (dateKey) {
+      const month = parseMonth(r[dateKey]);
+      if (month) points.set(monthIndex(month), y);
+    } else {
+      const year = toNumber(r[yearKey]);
+      if (year !== null) points.set(Math.floor(year) * 12, y);
+    }
+  }
+
+  const idxs = Array.from(points.keys()).sort((a, b) => a - b);
+  if (idxs.length < 2) {
+    throw new Error(
+      `Bond yields CSV parsed, but produced ${idxs.length} usable rows. Check delimiter/headers. Detected delimiter: ${JSON.stringify(delimiter)}`
+    );
+  }
+
+  // Monthly yield curve: fill gaps linearly between known points.
+  // Annual data runs flat through the last year's December.
+  const lastIdx = yearKey ? idxs[idxs.length - 1] + 11 : idxs[idxs.length - 1];
+  const yields = [];
+  for (let k = 0; k < idxs.length; k++) {
+    const a = idxs[k];
+    const b = idxs[k + 1];
+    const ya = points.get(a);
+    if (b === undefined) {
+      for (let i = a; i <= lastIdx; i++) yields.push({ idx: i, yieldPct: ya });
+      break;
+    }
+    const yb = points.get(b);
+    for (let i = a; i < b; i++) {
+      yields.push({ idx: i, yieldPct: ya + ((yb - ya) * (i - a)) / (b - a) });
+    }
+  }
+
+  const monthly = [];
+  const byMonth = new Map();
+  for (let i = 1; i < yields.length; i++) {
+    const prev = yields[i - 1].yieldPct / 100;
+    const cur = yields[i].yieldPct / 100;
+
+    const coupon = prev / 12;
+    const priceChange = -parBondDuration(prev, maturityYears) * (cur - prev);
+
+    const row = {
+      month: monthFromIndex(yields[i].idx),
+      yieldPct: yields[i].yieldPct,
+      monthlyReturn: coupon + priceChange
+    };
+    monthly.push(row);
+    byMonth.set(row.month, row);
+  }
+
+  const meta = {
+    frequency: dateKey ? "monthly" : "annual",
+    maturityYears,
+    monthCount: monthly.length,
+    firstMonth: monthly[0].month,
+    lastMonth: monthly[monthly.length - 1].month
+  };
+
+  return { monthly, byMonth, meta };
+}
+
+module.exports = { loadBondReturnsFromCsv };
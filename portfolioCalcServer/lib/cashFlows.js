@@ -0,0 +1,46 @@
+// Scheduled lump-sum cash flows: a new roof, college tuition, an inheritance.
+// amount > 0 is money added to the portfolio, amount < 0 money taken out.
+// A flow happens at a calendar month ("YYYY-MM") or at offsetMonths from the start
+// of the run, optionally repeating every recurEveryMonths (occurrences times, or
+// until the run ends). Indexed flows are in start-date dollars and grow with the
+// run's inflation.
+
+function monthIndex(month) {
+  const [y, m] = String(month).split("-").map(Number);
+  return y * 12 + (m - 1);
+}
+
+// Expands the flows over one run: Map(offset from start -> [{ name, amount, indexed }]).
+function scheduleCashFlows(cashFlows, startMonth, runMonths) {
+  const schedule = new Map();
+  if (!cashFlows || !cashFlows.length) return schedule;
+
+  const startIdx = monthIndex(startMonth);
+
+  cashFlows.forEach((f, k) => {
+    const first = f.month ? monthIndex(f.month) - startIdx : f.offsetMonths;
+    const every = f.recurEveryMonths || null;
+    const count = every ? f.occurrences ?? Infinity : 1;
+
+    for (let n = 0; n < count; n++) {
+      const offset = first + n * (every || 0);
+      if (offset >= runMonths) break;
+      if (offset < 0) continue;
+
+      if (!schedule.has(offset)) schedule.set(offset, []);
+      schedule.get(offset).push({ name: f.name || `Cash flow ${k + 1}`, amount: f.amount, indexed: Boolean(f.indexed) });
+    }
+  });
+
+  return schedule;
+}
+
+// Flows due `offset` months into the run, in nominal dollars.
+// inflationIndex: the run's inflation since the start (used by indexed flows).
+function dueCashFlows(schedule, offset, inflationIndex = 1) {
+  const due = schedule.get(offset);
+  if (!due) return null;
+  return due.map((f) => ({ name: f.name, amount: f.indexed ? f.amount * inflationIndex : f.amount }));
+}
+
+module.exports = { scheduleCashFlows, dueCashFlows };
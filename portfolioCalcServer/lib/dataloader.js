@@ -29,7 +29,98 @@ function monthKeyFromDate(yyyyMMdd) {
   return yyyyMMdd.slice(0, 7); // "YYYY-MM"
 }
 
-async function loadDailyCsvAndBuildMonthly(csvPath) {
+// Optional dividend-yield CSV: one row per month (date/month column) or per year
+// (year column), with the trailing annual dividend yield in percent.
+async function loadDividendYieldsFromCsv(csvPath) {
+  const parser = fs
+    .createReadStream(csvPath)
+    .pipe(
+      parse({
+        columns: true,
+        skip_empty_lines: true,
+        trim: true
+      })
+    );
+
+  const byMonth = new Map(); // "YYYY-MM" -> yield %
+  const byYear = new Map();  // YYYY -> yield %
+
+  let dateCol;
+  let yearCol;
+  let yieldCol;
+
+  for await (const record of parser) {
+    if (yieldCol === undefined) {
+      const originalKeys = Object.keys(record);
+      const headers = originalKeys.map(normalizeHeader);
+      const findKey = (candidates) => {
+        for (const cand of candidates) {
+          const idx = headers.indexOf(cand);
+          if (idx >= 0) return originalKeys[idx];
+        }
+        return null;
+      };
+
+      dateCol = findKey(["date", "month"]);
+      yearCol = findKey(["year"]);
+      yieldCol = findKey(["dividend_yield", "dividend yield", "yield", "dy"]);
+
+      if ((!dateCol && !yearCol) || !yieldCol) {
+        throw new Error(
+          `Dividend yield CSV must include a date/month or year column and a yield column. Found headers: ${originalKeys.join(
+            ", "
+          )}`
+        );
+      }
+    }
+
+    const yieldPct = toNumber(record[yieldCol]);
+    if (yieldPct === null) continue;
+
+    if (dateCol) {
+      const raw = String(record[dateCol]).trim();
+      const date = /^\d{4}-\d{2}$/.test(raw) ? `${raw}-01` : parseDate(raw);
+      if (date) byMonth.set(monthKeyFromDate(date), yieldPct);
+    } else {
+      const year = toNumber(record[yearCol]);
+      if (year !== null) byYear.set(Math.floor(year), yieldPct);
+    }
+  }
+
+  return { byMonth, byYear };
+}
+
+// Chain a total-return level onto monthly closes from annual dividend yields:
+// each month earns its price return plus one twelfth of that month's yield.
+// Months before the first known yield get no total-return level.
+function applyDividendYields(monthly, yields) {
+  let trClose = null;
+  let lastYield = null;
+
+  for (let i = 0; i < monthly.length; i++) {
+    const m = monthly[i];
+    const y =
+      yields.byMonth.get(m.month) ??
+      yields.byYear.get(Number(m.month.slice(0, 4))) ??
+      lastYield;
+
+    if (y === null || y === undefined) {
+      m.trClose = null;
+      continue;
+    }
+    lastYield = y;
+
+    const prev = monthly[i - 1];
+    if (trClose === null || !prev || !(prev.close > 0)) {
+      trClose = m.close;
+    } else {
+      trClose *= m.close / prev.close + y / 100 / 12;
+    }
+    m.trClose = trClose;
+  }
+}
+
+async function loadDailyCsvAndBuildMonthly(csvPath, { dividendYieldCsvPath } = {}) {
   if (!fs.existsSync(csvPath)) {
     throw new Error(`CSV not found at: ${csvPath}`);
   }
@@ -48,6 +139,8 @@ async function loadDailyCsvAndBuildMonthly(csvPath) {
   let dateCol = null;
   let openCol = null;
   let closeCol = null;
+  let adjCloseCol = null;
+  let dividendCol = null;
 
   for await (const record of parser) {
     if (!dateCol) {
@@ -66,6 +159,8 @@ async function loadDailyCsvAndBuildMonthly(csvPath) {
       dateCol = findKey(["date", "day", "time"]);
       openCol = findKey(["open", "open_price", "opening", "o"]);
       closeCol = findKey(["close", "close_price", "closing", "c"]);
+      adjCloseCol = findKey(["adj close", "adj_close", "adjclose", "adjusted_close", "adjusted close"]);
+      dividendCol = findKey(["dividend", "dividends", "div"]);
 
       if (!dateCol || !closeCol) {
         throw new Error(
@@ -80,20 +175,45 @@ async function loadDailyCsvAndBuildMonthly(csvPath) {
     const open = openCol ? toNumber(record[openCol]) : null;
     const close = toNumber(record[closeCol]);
 
+    const adjClose = adjCloseCol ? toNumber(record[adjCloseCol]) : null;
+    const dividend = dividendCol ? toNumber(record[dividendCol]) : null;
+
     if (!date || close === null) continue;
 
-    rows.push({ date, open, close });
+    rows.push({ date, open, close, adjClose, dividend });
   }
 
   rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
 
+  // Total-return level per day, when the CSV carries enough to build one.
+  // Adjusted close already has dividends folded in; a dividend column is
+  // reinvested at that day's close.
+  let totalReturnSource = null;
+  if (adjCloseCol && rows.some((r) => r.adjClose !== null)) {
+    totalReturnSource = "adjClose";
+    for (const r of rows) r.trClose = r.adjClose;
+  } else if (dividendCol) {
+    totalReturnSource = "dividends";
+    let tr = null;
+    for (let i = 0; i < rows.length; i++) {
+      const r = rows[i];
+      const prev = rows[i - 1];
+      if (tr === null || !(prev.close > 0)) {
+        tr = r.close;
+      } else {
+        tr *= (r.close + (r.dividend || 0)) / prev.close;
+      }
+      r.trClose = tr;
+    }
+  }
+
   // Build monthly closes: last daily close in each month
   const monthlyMap = new Map(); // monthKey -> { monthKey, lastDailyDate, close }
   for (const r of rows) {
     const mk = monthKeyFromDate(r.date);
     const prev = monthlyMap.get(mk);
     if (!prev || r.date > prev.lastDailyDate) {
-      monthlyMap.set(mk, { month: mk, lastDailyDate: r.date, close: r.close });
+      monthlyMap.set(mk, { month: mk, lastDailyDate: r.date, close: r.close, trClose: r.trClose ?? null });
     }
   }
 
@@ -103,16 +223,36 @@ async function loadDailyCsvAndBuildMonthly(csvPath) {
       month: m.month,              // "YYYY-MM"
       monthStart: `${m.month}-01`, // for chart labels
       lastDailyDate: m.lastDailyDate,
-      close: m.close
+      close: m.close,
+      trClose: m.trClose           // total-return level (null when unknown)
     }));
 
+  if (!totalReturnSource && dividendYieldCsvPath && fs.existsSync(dividendYieldCsvPath)) {
+    const yields = await loadDividendYieldsFromCsv(dividendYieldCsvPath);
+    applyDividendYields(monthly, yields);
+    totalReturnSource = "dividendYieldCsv";
+  }
+
+  // First month whose total return can be computed (needs the prior month's level too)
+  let totalReturnFirstMonth = null;
+  if (totalReturnSource) {
+    for (let i = 1; i < monthly.length; i++) {
+      if (monthly[i - 1].trClose > 0 && Number.isFinite(monthly[i].trClose)) {
+        totalReturnFirstMonth = monthly[i].month;
+        break;
+      }
+    }
+  }
+
   const meta = {
     dailyCount: rows.length,
     monthlyCount: monthly.length,
     firstDailyDate: rows[0]?.date || null,
     lastDailyDate: rows[rows.length - 1]?.date || null,
     firstMonth: monthly[0]?.month || null,
-    lastMonth: monthly[monthly.length - 1]?.month || null
+    lastMonth: monthly[monthly.length - 1]?.month || null,
+    totalReturnSource: totalReturnFirstMonth ? totalReturnSource : null,
+    totalReturnFirstMonth
   };
 
   return { daily: rows, monthly, meta };
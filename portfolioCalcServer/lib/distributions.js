@@ -0,0 +1,339 @@
+// Return distributions for the parametric Monte Carlo.
+// Everything is fitted on monthly LOG returns, ln(1 + r), and sampled back as simple returns.
+// "Annual" figures in the output are 12x the monthly log mean (shown as a compounded %)
+// and sqrt(12)x the monthly log volatility.
+
+const RETURN_MODELS = ["lognormal", "studentT", "regimeSwitching"];
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+function stdev(xs, mu = mean(xs)) {
+  return Math.sqrt(xs.reduce((a, x) => a + (x - mu) * (x - mu), 0) / (xs.length - 1));
+}
+
+function excessKurtosis(xs, mu = mean(xs)) {
+  const n = xs.length;
+  let m2 = 0;
+  let m4 = 0;
+  for (const x of xs) {
+    const d = x - mu;
+    m2 += d * d;
+    m4 += d * d * d * d;
+  }
+  m2 /= n;
+  m4 /= n;
+  return m4 / (m2 * m2) - 3;
+}
+
+function normalPdf(x, mu, sigma) {
+  const z = (x - mu) / sigma;
+  return Math.exp(-0.5 * z * z) / (sigma * Math.sqrt(2 * Math.PI));
+}
+
+function annualize({ mu, sigma }) {
+  return {
+    meanAnnualPct: (Math.exp(12 * mu) - 1) * 100,
+    volAnnualPct: sigma * Math.sqrt(12) * 100
+  };
+}
+
+// meanAnnualPct / volAnnualPct -> monthly log mean / volatility
+function monthlyFromAnnual({ meanAnnualPct, volAnnualPct }) {
+  return {
+    mu: Number.isFinite(meanAnnualPct) ? Math.log(1 + meanAnnualPct / 100) / 12 : null,
+    sigma: Number.isFinite(volAnnualPct) ? volAnnualPct / 100 / Math.sqrt(12) : null
+  };
+}
+
+/* ---------------------------
+   Sampling (seeded rng in [0, 1))
+---------------------------- */
+function sampleNormal(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Marsaglia-Tsang; shape >= 1 directly, shape < 1 via the boost trick.
+function sampleGamma(rng, shape) {
+  if (shape < 1) {
+    let u = 0;
+    while (u === 0) u = rng();
+    return sampleGamma(rng, shape + 1) * Math.pow(u, 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (u > 0 && Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function sampleStudentT(rng, dof) {
+  const chi2 = 2 * sampleGamma(rng, dof / 2);
+  return sampleNormal(rng) / Math.sqrt(chi2 / dof);
+}
+
+/* ---------------------------
+   Lognormal
+---------------------------- */
+function fitLognormal(logReturns) {
+  const mu = mean(logReturns);
+  return { mu, sigma: stdev(logReturns, mu) };
+}
+
+/* ---------------------------
+   Student-t (location/scale), dof from excess kurtosis: k = 6 / (dof - 4)
+---------------------------- */
+function fitStudentT(logReturns) {
+  const mu = mean(logReturns);
+  const sd = stdev(logReturns, mu);
+  const k = excessKurtosis(logReturns, mu);
+
+  const dof = k > 0 ? Math.min(100, Math.max(4.1, 4 + 6 / k)) : 100;
+
+  // sd = scale * sqrt(dof / (dof - 2))
+  return { mu, sigma: sd, dof, scale: sd * Math.sqrt((dof - 2) / dof) };
+}
+
+/* ---------------------------
+   Two-regime Markov switching (Gaussian HMM, Baum-Welch)
+---------------------------- */
+function fitRegimeSwitching(xs, { maxIter = 200, tol = 1e-7 } = {}) {
+  const n = xs.length;
+  const mu0 = mean(xs);
+  const sd0 = stdev(xs, mu0);
+
+  // Start from a calm regime and a turbulent one
+  let mus = [mu0 + 0.25 * sd0, mu0 - 0.5 * sd0];
+  let sigmas = [0.7 * sd0, 1.6 * sd0];
+  let P = [
+    [0.95, 0.05],
+    [0.1, 0.9]
+  ];
+  let pi = [0.5, 0.5];
+
+  const alpha = Array.from({ length: n }, () => [0, 0]);
+  const beta = Array.from({ length: n }, () => [0, 0]);
+  const scale = new Array(n).fill(0);
+  const b = Array.from({ length: n }, () => [0, 0]);
+
+  let prevLogLik = -Infinity;
+  let logLik = -Infinity;
+  let iterations = 0;
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    iterations = iter + 1;
+
+    for (let t = 0; t < n; t++) {
+      b[t][0] = Math.max(normalPdf(xs[t], mus[0], sigmas[0]), 1e-300);
+      b[t][1] = Math.max(normalPdf(xs[t], mus[1], sigmas[1]), 1e-300);
+    }
+
+    // Forward (scaled)
+    for (let t = 0; t < n; t++) {
+      for (let j = 0; j < 2; j++) {
+        const prior = t === 0 ? pi[j] : alpha[t - 1][0] * P[0][j] + alpha[t - 1][1] * P[1][j];
+        alpha[t][j] = prior * b[t][j];
+      }
+      scale[t] = alpha[t][0] + alpha[t][1];
+      alpha[t][0] /= scale[t];
+      alpha[t][1] /= scale[t];
+    }
+
+    // Backward (scaled with the same constants)
+    beta[n - 1][0] = 1;
+    beta[n - 1][1] = 1;
+    for (let t = n - 2; t >= 0; t--) {
+      for (let i = 0; i < 2; i++) {
+        beta[t][i] =
+          (P[i][0] * b[t + 1][0] * beta[t + 1][0] + P[i][1] * b[t + 1][1] * beta[t + 1][1]) / scale[t + 1];
+      }
+    }
+
+    logLik = scale.reduce((a, c) => a + Math.log(c), 0);
+
+    // E-step: state and transition posteriors
+    const gammaSum = [0, 0];
+    const gammaX = [0, 0];
+    const xiSum = [
+      [0, 0],
+      [0, 0]
+    ];
+    const gammaFromSum = [0, 0];
+    const gamma0 = [0, 0];
+
+    for (let t = 0; t < n; t++) {
+      for (let i = 0; i < 2; i++) {
+        const g = alpha[t][i] * beta[t][i];
+        gammaSum[i] += g;
+        gammaX[i] += g * xs[t];
+        if (t === 0) gamma0[i] = g;
+        if (t < n - 1) {
+          gammaFromSum[i] += g;
+          for (let j = 0; j < 2; j++) {
+            xiSum[i][j] += (alpha[t][i] * P[i][j] * b[t + 1][j] * beta[t + 1][j]) / scale[t + 1];
+          }
+        }
+      }
+    }
+
+    // M-step
+    mus = [gammaX[0] / gammaSum[0], gammaX[1] / gammaSum[1]];
+    const gammaVar = [0, 0];
+    for (let t = 0; t < n; t++) {
+      for (let i = 0; i < 2; i++) {
+        const d = xs[t] - mus[i];
+        gammaVar[i] += alpha[t][i] * beta[t][i] * d * d;
+      }
+    }
+    sigmas = [
+      Math.max(Math.sqrt(gammaVar[0] / gammaSum[0]), 1e-4),
+      Math.max(Math.sqrt(gammaVar[1] / gammaSum[1]), 1e-4)
+    ];
+    P = [0, 1].map((i) => [0, 1].map((j) => xiSum[i][j] / gammaFromSum[i]));
+    pi = gamma0;
+
+    if (Math.abs(logLik - prevLogLik) < tol) break;
+    prevLogLik = logLik;
+  }
+
+  // Report the calmer regime first
+  let order = [0, 1];
+  if (sigmas[1] < sigmas[0]) order = [1, 0];
+
+  const regimes = order.map((i) => ({ mu: mus[i], sigma: sigmas[i] }));
+  const transition = order.map((i) => order.map((j) => P[i][j]));
+
+  // Stationary distribution of a 2-state chain
+  const p01 = transition[0][1];
+  const p10 = transition[1][0];
+  const stationary = p01 + p10 > 0 ? [p10 / (p01 + p10), p01 / (p01 + p10)] : [0.5, 0.5];
+
+  return { regimes, transition, stationary, logLikelihood: logLik, iterations };
+}
+
+function mixtureMoments({ regimes, stationary }) {
+  const m = regimes.reduce((a, r, i) => a + stationary[i] * r.mu, 0);
+  const second = regimes.reduce((a, r, i) => a + stationary[i] * (r.sigma * r.sigma + r.mu * r.mu), 0);
+  return { mu: m, sigma: Math.sqrt(Math.max(0, second - m * m)) };
+}
+
+/* ---------------------------
+   Public: fit, override, sample
+---------------------------- */
+function fitReturnModel(model, logReturns) {
+  if (model === "lognormal") return fitLognormal(logReturns);
+  if (model === "studentT") return fitStudentT(logReturns);
+  if (model === "regimeSwitching") return fitRegimeSwitching(logReturns);
+  throw new Error(`Unknown return model: ${model}`);
+}
+
+// Replace the fitted mean and/or volatility (monthly log terms; null = keep fitted).
+// Shapes are kept: t keeps its dof, the regime model shifts/scales every regime
+// around the unconditional mean so the mixture hits the target.
+function applyOverrides(model, params, { mu, sigma }) {
+  if (mu === null && sigma === null) return params;
+
+  if (model === "lognormal") {
+    return { mu: mu ?? params.mu, sigma: sigma ?? params.sigma };
+  }
+
+  if (model === "studentT") {
+    const sd = sigma ?? params.sigma;
+    return { ...params, mu: mu ?? params.mu, sigma: sd, scale: sd * Math.sqrt((params.dof - 2) / params.dof) };
+  }
+
+  const base = mixtureMoments(params);
+  const targetMu = mu ?? base.mu;
+  const k = sigma !== null && base.sigma > 0 ? sigma / base.sigma : 1;
+  return {
+    ...params,
+    regimes: params.regimes.map((r) => ({
+      mu: targetMu + (r.mu - base.mu) * k,
+      sigma: r.sigma * k
+    }))
+  };
+}
+
+// Plain-number description for API responses
+function describeReturnModel(model, params) {
+  if (model === "lognormal") {
+    return { monthlyLogMean: params.mu, monthlyLogVol: params.sigma, ...annualize(params) };
+  }
+  if (model === "studentT") {
+    return {
+      monthlyLogMean: params.mu,
+      monthlyLogVol: params.sigma,
+      degreesOfFreedom: params.dof,
+      scale: params.scale,
+      ...annualize(params)
+    };
+  }
+  return {
+    regimes: params.regimes.map((r, i) => ({
+      monthlyLogMean: r.mu,
+      monthlyLogVol: r.sigma,
+      ...annualize(r),
+      stationaryProbability: params.stationary[i],
+      expectedDurationMonths: 1 / Math.max(1e-9, 1 - params.transition[i][i])
+    })),
+    transitionMatrix: params.transition,
+    unconditional: annualize(mixtureMoments(params)),
+    logLikelihood: params.logLikelihood,
+    iterations: params.iterations
+  };
+}
+
+// Returns a generator: each call gives one path of `count` simple monthly returns.
+function createReturnSampler(model, params, rng) {
+  if (model === "lognormal") {
+    return (count) => {
+      const out = new Array(count);
+      for (let k = 0; k < count; k++) out[k] = Math.exp(params.mu + params.sigma * sampleNormal(rng)) - 1;
+      return out;
+    };
+  }
+
+  if (model === "studentT") {
+    return (count) => {
+      const out = new Array(count);
+      for (let k = 0; k < count; k++) {
+        out[k] = Math.exp(params.mu + params.scale * sampleStudentT(rng, params.dof)) - 1;
+      }
+      return out;
+    };
+  }
+
+  return (count) => {
+    const out = new Array(count);
+    let state = rng() < params.stationary[0] ? 0 : 1;
+    for (let k = 0; k < count; k++) {
+      if (k > 0 && rng() < params.transition[state][1 - state]) state = 1 - state;
+      const r = params.regimes[state];
+      out[k] = Math.exp(r.mu + r.sigma * sampleNormal(rng)) - 1;
+    }
+    return out;
+  };
+}
+
+module.exports = {
+  RETURN_MODELS,
+  monthlyFromAnnual,
+  fitReturnModel,
+  applyOverrides,
+  describeReturnModel,
+  createReturnSampler
+};
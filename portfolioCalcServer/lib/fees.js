@@ -0,0 +1,60 @@
+// Investment costs for the DCA and retirement simulations.
+// expenseRatioPct and aumFeePct are annual percentages of the balance, charged
+// monthly (1/12 each month after the market return). flatAnnualFee is a dollar
+// amount charged every January. Fees leave the portfolio pro-rata across assets.
+
+const { portfolioValue, withdraw } = require("./portfolio");
+
+function createFeeTracker({ expenseRatioPct = 0, aumFeePct = 0, flatAnnualFee = 0 } = {}) {
+  return {
+    expenseRatioPct,
+    aumFeePct,
+    flatAnnualFee,
+    total: 0,
+    years: []
+  };
+}
+
+function yearRecord(tracker, year) {
+  let rec = tracker.years[tracker.years.length - 1];
+  if (!rec || rec.year !== year) {
+    rec = { year, expenseRatioFees: 0, aumFees: 0, flatFees: 0, totalFees: 0 };
+    tracker.years.push(rec);
+  }
+  return rec;
+}
+
+// Charges this month's fees; returns the nominal amount taken.
+// cpi: CPI growth since the start, so the report can be in real dollars (1 = nominal).
+function chargeFees(tracker, portfolio, { year, calendarMonth, cpi = 1 }) {
+  const balance = portfolioValue(portfolio);
+  if (balance <= 0) return 0;
+
+  const er = withdraw(portfolio, (balance * tracker.expenseRatioPct) / 100 / 12);
+  const aum = withdraw(portfolio, (balance * tracker.aumFeePct) / 100 / 12);
+  const flat = calendarMonth === 1 ? withdraw(portfolio, tracker.flatAnnualFee) : 0;
+
+  const taken = er + aum + flat;
+  if (taken <= 0) return 0;
+
+  const rec = yearRecord(tracker, year);
+  rec.expenseRatioFees += er / cpi;
+  rec.aumFees += aum / cpi;
+  rec.flatFees += flat / cpi;
+  rec.totalFees += taken / cpi;
+  tracker.total += taken / cpi;
+
+  return taken;
+}
+
+function summarizeFees(tracker) {
+  return {
+    expenseRatioPct: tracker.expenseRatioPct,
+    aumFeePct: tracker.aumFeePct,
+    flatAnnualFee: tracker.flatAnnualFee,
+    totalFeesPaid: tracker.total,
+    years: tracker.years
+  };
+}
+
+module.exports = { createFeeTracker, chargeFees, summarizeFees };
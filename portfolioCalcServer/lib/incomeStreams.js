@@ -0,0 +1,92 @@
+// Outside income during retirement: Social Security, pensions, annuities, part-time work.
+// Each stream pays monthlyAmount (in start-date dollars) from startOffsetMonths until
+// endOffsetMonths (exclusive, optional), counted from the first month of the run.
+// COLA: "none" (flat nominal), "fixed" (colaPct per year) or "historical" (CPI).
+// The adjustment compounds monthly from the start of the run, so a stream that starts
+// later begins at its indexed amount, like a delayed Social Security claim.
+// Income is not taxed by the tax buckets in lib/taxes.js.
+
+const COLA_TYPES = ["none", "fixed", "historical"];
+
+function monthlyRateFromAnnualPct(annualPct) {
+  return Math.pow(1 + annualPct / 100, 1 / 12) - 1;
+}
+
+function createIncomeStreams(streams) {
+  return streams.map((s, k) => ({
+    name: s.name || `Income ${k + 1}`,
+    monthlyAmount: s.monthlyAmount,
+    startOffsetMonths: s.startOffsetMonths || 0,
+    endOffsetMonths: Number.isFinite(s.endOffsetMonths) ? s.endOffsetMonths : null,
+    cola: s.cola || "none",
+    monthlyCola: s.cola === "fixed" ? monthlyRateFromAnnualPct(s.colaPct || 0) : 0,
+    factor: 1,
+    totalPaid: 0
+  }));
+}
+
+function usesHistoricalCola(streams) {
+  return streams.some((s) => s.cola === "historical");
+}
+
+// Income paid in the month `offset` months into the run (nominal dollars).
+// cpi: CPI growth since the start, for real-dollar totals (1 = nominal).
+function collectIncome(streams, offset, cpi = 1) {
+  let total = 0;
+  for (const s of streams) {
+    if (offset < s.startOffsetMonths) continue;
+    if (s.endOffsetMonths !== null && offset >= s.endOffsetMonths) continue;
+
+    const amount = s.monthlyAmount * s.factor;
+    s.totalPaid += amount / cpi;
+    total += amount;
+  }
+  return total;
+}
+
+// Income the streams will pay over the `count` months from `offset` (nominal), without
+// paying it, so an annual withdrawal can net the whole year's income up front.
+// colaRates[k]: CPI inflation in the k-th of those months, for "historical" streams.
+function projectIncome(streams, offset, count, colaRates) {
+  const factors = streams.map((s) => s.factor);
+  let total = 0;
+  for (let k = 0; k < count; k++) {
+    streams.forEach((s, j) => {
+      const active = offset + k >= s.startOffsetMonths && (s.endOffsetMonths === null || offset + k < s.endOffsetMonths);
+      if (active) total += s.monthlyAmount * factors[j];
+      if (s.cola === "fixed") factors[j] *= 1 + s.monthlyCola;
+      else if (s.cola === "historical") factors[j] *= 1 + (colaRates ? colaRates[k] : 0);
+    });
+  }
+  return total;
+}
+
+// End of month: index every stream for next month. historicalRate is this month's
+// CPI inflation (monthly), needed only by "historical" streams.
+function advanceCola(streams, historicalRate) {
+  for (const s of streams) {
+    if (s.cola === "fixed") s.factor *= 1 + s.monthlyCola;
+    else if (s.cola === "historical") s.factor *= 1 + historicalRate;
+  }
+}
+
+function summarizeIncomeStreams(streams) {
+  return streams.map((s) => ({
+    name: s.name,
+    monthlyAmount: s.monthlyAmount,
+    startOffsetMonths: s.startOffsetMonths,
+    endOffsetMonths: s.endOffsetMonths,
+    cola: s.cola,
+    totalPaid: s.totalPaid
+  }));
+}
+
+module.exports = {
+  COLA_TYPES,
+  createIncomeStreams,
+  usesHistoricalCola,
+  collectIncome,
+  projectIncome,
+  advanceCola,
+  summarizeIncomeStreams
+};
@@ -77,21 +77,26 @@ function loadInflationAnnualFromCsv(csvPath) {
   const monthKeys = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
 
   const annual = [];
+  const monthly = [];
   for (const r of records) {
     const year = parseYear(r[yearKey]);
     if (!Number.isFinite(year)) continue;
 
+    // Monthly values are year-over-year rates (%); blanks / notes like "Avail." are skipped.
+    const vals = [];
+    monthKeys.forEach((mk, m) => {
+      const k = Object.keys(r).find((x) => x.toLowerCase() === mk.toLowerCase());
+      if (!k) return;
+      const v = toNumber(r[k]);
+      if (v === null) return;
+      vals.push(v);
+      monthly.push({ month: `${year}-${String(m + 1).padStart(2, "0")}`, ratePct: v });
+    });
+
     let avgRate = aveKey ? toNumber(r[aveKey]) : null;
 
-    if (avgRate === null) {
-      const vals = [];
-      for (const mk of monthKeys) {
-        const k = Object.keys(r).find((x) => x.toLowerCase() === mk.toLowerCase());
-        if (!k) continue;
-        const v = toNumber(r[k]);
-        if (v !== null) vals.push(v);
-      }
-      if (vals.length) avgRate = vals.reduce((a, b) => a + b, 0) / vals.length;
+    if (avgRate === null && vals.length) {
+      avgRate = vals.reduce((a, b) => a + b, 0) / vals.length;
     }
 
     if (avgRate === null) continue;
@@ -100,6 +105,7 @@ function loadInflationAnnualFromCsv(csvPath) {
   }
 
   annual.sort((a, b) => a.year - b.year);
+  monthly.sort((a, b) => (a.month < b.month ? -1 : a.month > b.month ? 1 : 0));
 
   if (!annual.length) {
     throw new Error(
@@ -114,13 +120,19 @@ function loadInflationAnnualFromCsv(csvPath) {
     yearCount: annual.length,
     firstYear: annual[0].year,
     lastYear: annual[annual.length - 1].year,
-    overallAvgRatePct
+    overallAvgRatePct,
+    monthCount: monthly.length,
+    firstMonth: monthly.length ? monthly[0].month : null,
+    lastMonth: monthly.length ? monthly[monthly.length - 1].month : null
   };
 
   const byYear = new Map();
   for (const a of annual) byYear.set(a.year, a);
 
-  return { annual, byYear, meta };
+  const byMonth = new Map();
+  for (const m of monthly) byMonth.set(m.month, m);
+
+  return { annual, byYear, monthly, byMonth, meta };
 }
 
 module.exports = { loadInflationAnnualFromCsv };
@@ -0,0 +1,344 @@
+const { normalizeAllocation } = require("./portfolio");
+const {
+  monthlyFromAnnual,
+  fitReturnModel,
+  applyOverrides,
+  describeReturnModel,
+  createReturnSampler
+} = require("./distributions");
+const {
+  median,
+  percentile,
+  buildAssetReturns,
+  coveredRange,
+  narrowRange,
+  weightsToPct,
+  resolveInflation,
+  simulateRetirementPath
+} = require("./simulations");
+
+const BOOTSTRAP_METHODS = ["iid", "block"];
+
+// Small seeded PRNG (mulberry32): the same seed always replays the same trials.
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Synthetic calendar for generated paths: "0001-01", "0001-02", ...
+// Year 1 starts in January so annual withdrawals/rebalancing line up with the historical runs.
+function syntheticMonths(count) {
+  const months = new Array(count);
+  for (let k = 0; k < count; k++) {
+    const y = String(1 + Math.floor(k / 12)).padStart(4, "0");
+    const m = String((k % 12) + 1).padStart(2, "0");
+    months[k] = `${y}-${m}`;
+  }
+  return months;
+}
+
+// Picks `count` historical month indices from [first, last].
+// iid: every month drawn independently.
+// block: runs of `blockLength` consecutive months from random starting points,
+// wrapping past the end of history back to `first` (circular block bootstrap),
+// which keeps some of the month-to-month clustering of real markets.
+function sampleIndices(rng, first, last, count, method, blockLength) {
+  const span = last - first + 1;
+  const out = new Array(count);
+
+  if (method === "iid") {
+    for (let k = 0; k < count; k++) out[k] = first + Math.floor(rng() * span);
+    return out;
+  }
+
+  let k = 0;
+  while (k < count) {
+    const start = Math.floor(rng() * span);
+    for (let j = 0; j < blockLength && k < count; j++, k++) {
+      out[k] = first + ((start + j) % span);
+    }
+  }
+  return out;
+}
+
+function summarizeTrials(runs, durationYears) {
+  const total = runs.length;
+  const successes = runs.filter((r) => r.success).length;
+
+  const endings = runs.map((r) => r.endingValue).sort((a, b) => a - b);
+  const endingBalancePercentiles = {};
+  for (const p of [5, 10, 25, 50, 75, 90, 95]) {
+    endingBalancePercentiles[`p${p}`] = percentile(endings, p / 100);
+  }
+
+  // Failures by retirement year in which the money ran out (1-based)
+  const failuresByYear = new Array(durationYears).fill(0);
+  for (const r of runs) {
+    if (r.success) continue;
+    const year = Math.min(durationYears, Math.floor(r.depletedMonth / 12) + 1);
+    failuresByYear[year - 1] += 1;
+  }
+
+  let cumulative = 0;
+  const failureYears = failuresByYear.map((failures, i) => {
+    cumulative += failures;
+    return {
+      year: i + 1,
+      failures,
+      cumulativeFailureRate: total ? cumulative / total : 0
+    };
+  });
+
+  return {
+    trials: total,
+    successes,
+    successRate: total ? successes / total : 0,
+    averageEndingBalance: total ? endings.reduce((a, b) => a + b, 0) / total : null,
+    endingBalancePercentiles,
+    failureYears,
+    // With account buckets: lifetime federal tax and after-tax spending of the median trial
+    taxes: runs.length && runs[0].taxes
+      ? {
+          medianTotalFederalTax: median(runs.map((r) => r.taxes.totalFederalTax)),
+          medianTotalAfterTaxSpending: median(runs.map((r) => r.taxes.totalAfterTaxSpending))
+        }
+      : null
+  };
+}
+
+// Runs `trials` retirements over generated paths. nextPath() returns one trial:
+// { assetReturns, inflationRates?, colaRates? }, arrays of durationYears * 12 months.
+function simulateTrials({ trials, durationYears, nextPath, weights, pathOptions }) {
+  const monthsCount = durationYears * 12;
+  const months = syntheticMonths(monthsCount);
+
+  const runs = [];
+  for (let t = 0; t < trials; t++) {
+    const path = nextPath();
+    runs.push(
+      simulateRetirementPath({
+        ...pathOptions,
+        months,
+        assetReturns: path.assetReturns,
+        inflationRates: path.inflationRates,
+        colaRates: path.colaRates,
+        startIdx: 0,
+        endIdxExclusive: monthsCount,
+        weights,
+        recordSeries: false
+      })
+    );
+  }
+
+  return summarizeTrials(runs, durationYears);
+}
+
+// Engine options every retirement path needs, minus the market (and CPI) data.
+function retirementPathOptions({
+  initialBalance,
+  withdrawMode,
+  withdrawValue,
+  withdrawFrequency,
+  guardrailsMinPct,
+  guardrailsMaxPct,
+  guardrailsMinDollar,
+  guardrailsUpperTriggerPct,
+  guardrailsLowerTriggerPct,
+  guardrailsStepPct,
+  guardrailsEvaluation,
+  guytonKlinger,
+  vpwRealReturnPct,
+  vpwHorizonYears,
+  dynamicCeilingPct,
+  dynamicFloorPct,
+  retireeAge,
+  endowmentWeightPct,
+  ratchetThresholdPct,
+  ratchetPct,
+  ratchetEveryYears,
+  drawdownTiers,
+  rebalance,
+  tax,
+  fees,
+  incomeStreams,
+  cashFlows
+}, monthlyInfl) {
+  return {
+    initialBalance,
+    withdrawMode,
+    withdrawValue,
+    withdrawFrequency,
+    guardrailsMinPct,
+    guardrailsMaxPct,
+    guardrailsMinDollar,
+    guardrailsUpperTriggerPct,
+    guardrailsLowerTriggerPct,
+    guardrailsStepPct,
+    guardrailsEvaluation,
+    guytonKlinger,
+    vpwRealReturnPct,
+    vpwHorizonYears,
+    dynamicCeilingPct,
+    dynamicFloorPct,
+    retireeAge,
+    endowmentWeightPct,
+    ratchetThresholdPct,
+    ratchetPct,
+    ratchetEveryYears,
+    drawdownTiers,
+    monthlyInfl,
+    rebalance,
+    tax,
+    fees,
+    incomeStreams,
+    cashFlows
+  };
+}
+
+// Bootstrap Monte Carlo: every trial is a path of historical months drawn with
+// replacement (one month index drives all assets, so cross-asset correlation holds).
+// With historical inflation (or historical COLA on an income stream) the same index
+// also picks that month's CPI.
+function runRetirementMonteCarlo({
+  monthly,
+  durationYears,
+  trials,
+  seed,
+  method = "block",
+  blockLengthMonths = 12,
+  returnBasis = "price",
+  allocation,
+  cashAnnualPct,
+  bondSeries,
+  inflationSource = "fixed",
+  inflation,
+  ...retirement
+}) {
+  const assetReturns = buildAssetReturns(monthly, { returnBasis, cashAnnualPct, bondSeries });
+  const weights = normalizeAllocation(allocation, Object.keys(assetReturns));
+  const infl = resolveInflation({
+    monthly,
+    inflationSource,
+    inflation,
+    annualInflationPct: retirement.percentOfCurrentAnnualInflationPct
+  });
+  const historicalCola = (retirement.incomeStreams || []).some((s) => s.cola === "historical");
+  const cpi = historicalCola ? resolveInflation({ monthly, inflationSource: "historical", inflation }) : null;
+  const range = narrowRange(
+    narrowRange(coveredRange(monthly, weights, { returnBasis, bondSeries }), infl.range),
+    cpi?.range
+  );
+
+  // Index 0 has no prior close, so it carries no real return.
+  const first = Math.max(range.first, 1);
+  const last = range.last;
+  if (last - first + 1 < 12) throw new Error("Not enough historical months to resample");
+
+  const blockLength = method === "block" ? Math.min(blockLengthMonths, last - first + 1) : 1;
+  const rng = createRng(seed);
+  const assets = Object.keys(weights);
+  const monthsCount = durationYears * 12;
+
+  const summary = simulateTrials({
+    trials,
+    durationYears,
+    weights,
+    pathOptions: retirementPathOptions(retirement, infl.monthlyInfl),
+    nextPath: () => {
+      const idx = sampleIndices(rng, first, last, monthsCount, method, blockLength);
+      const path = {};
+      for (const a of assets) path[a] = idx.map((i) => assetReturns[a][i]);
+      return {
+        assetReturns: path,
+        inflationRates: infl.inflationRates ? idx.map((i) => infl.inflationRates[i]) : null,
+        colaRates: cpi ? idx.map((i) => cpi.inflationRates[i]) : null
+      };
+    }
+  });
+
+  return {
+    method,
+    blockLengthMonths: method === "block" ? blockLength : null,
+    seed,
+    returnBasis,
+    inflationSource,
+    allocation: weightsToPct(weights),
+    rebalance: retirement.rebalance?.policy || "none",
+    sampledRange: { firstMonth: monthly[first].month, lastMonth: monthly[last].month },
+    durationYears,
+    summary
+  };
+}
+
+// Parametric Monte Carlo: fit a return model to the historical stock months, optionally
+// override its mean/volatility, then run the usual withdrawal logic over generated paths.
+// Only stocks are modeled; cash (a fixed yield) may be mixed in, bonds may not.
+// Inflation is the fixed assumption: generated paths have no calendar to take CPI from.
+function runRetirementParametric({
+  monthly,
+  durationYears,
+  trials,
+  seed,
+  model,
+  meanAnnualPct,
+  volAnnualPct,
+  returnBasis = "price",
+  allocation,
+  cashAnnualPct,
+  ...retirement
+}) {
+  const assetReturns = buildAssetReturns(monthly, { returnBasis, cashAnnualPct });
+  const weights = normalizeAllocation(allocation, Object.keys(assetReturns));
+  const range = coveredRange(monthly, { stocks: 1 }, { returnBasis });
+
+  const first = Math.max(range.first, 1);
+  const logReturns = [];
+  for (let i = first; i <= range.last; i++) logReturns.push(Math.log(1 + assetReturns.stocks[i]));
+  if (logReturns.length < 24) throw new Error("Not enough historical months to fit a return model");
+
+  const fitted = fitReturnModel(model, logReturns);
+  const used = applyOverrides(model, fitted, monthlyFromAnnual({ meanAnnualPct, volAnnualPct }));
+
+  const rng = createRng(seed);
+  const sampleStocks = createReturnSampler(model, used, rng);
+  const monthsCount = durationYears * 12;
+  const cashPath = new Array(monthsCount).fill(assetReturns.cash[0]);
+  const infl = resolveInflation({ monthly, annualInflationPct: retirement.percentOfCurrentAnnualInflationPct });
+
+  const summary = simulateTrials({
+    trials,
+    durationYears,
+    weights,
+    pathOptions: retirementPathOptions(retirement, infl.monthlyInfl),
+    nextPath: () => ({ assetReturns: { stocks: sampleStocks(monthsCount), cash: cashPath } })
+  });
+
+  return {
+    model,
+    seed,
+    returnBasis,
+    allocation: weightsToPct(weights),
+    rebalance: retirement.rebalance?.policy || "none",
+    fittedRange: { firstMonth: monthly[first].month, lastMonth: monthly[range.last].month },
+    fittedParameters: describeReturnModel(model, fitted),
+    parameters: describeReturnModel(model, used),
+    overrides: {
+      meanAnnualPct: Number.isFinite(meanAnnualPct) ? meanAnnualPct : null,
+      volAnnualPct: Number.isFinite(volAnnualPct) ? volAnnualPct : null
+    },
+    durationYears,
+    summary
+  };
+}
+
+module.exports = {
+  BOOTSTRAP_METHODS,
+  runRetirementMonteCarlo,
+  runRetirementParametric
+};
@@ -0,0 +1,138 @@
+// Perfect withdrawal rate (PWR): the constant inflation-adjusted withdrawal, as a percent
+// of the starting balance per year, that leaves exactly the target ending balance (real,
+// % of the start) after the horizon. Only knowable in hindsight, it shows how much each
+// start year could have spent rather than whether one rate passed.
+//
+// With the allocation held at its weights every month the ending balance is linear in the
+// withdrawal, so each horizon has a closed form instead of a search. Per unit of starting
+// balance, after the months of a run:
+//   growth = product of (1 + r)
+//   drag   = sum over withdrawal months of (inflation index then) * (growth from then on)
+//   PWR    = (growth - target * ending inflation index) / drag
+// Months follow the retirement engine: market return first, then the withdrawal, then
+// that month's inflation indexes the next withdrawal.
+const { normalizeAllocation } = require("./portfolio");
+const {
+  percentile,
+  buildAssetReturns,
+  coveredRange,
+  narrowRange,
+  weightsToPct,
+  resolveInflation
+} = require("./simulations");
+
+const PWR_PERCENTILES = [10, 25, 50, 75, 90];
+
+// January starts whose data covers at least minDurationYears; every duration the data
+// covers gets a rate, longer ones null. Returns a start-year x duration matrix plus
+// percentiles of the rate per duration. Other start cadences and rebalancing policies
+// do not fit the closed form and are not supported.
+function runPerfectWithdrawalRates({
+  monthly,
+  minDurationYears,
+  maxDurationYears,
+  withdrawFrequency = "monthly",
+
+  // Real ending balance to leave, % of the starting balance (0 = spend it all)
+  targetEndingBalancePct = 0,
+
+  returnBasis = "price",
+  allocation,
+  cashAnnualPct,
+  bondSeries,
+
+  // Withdrawals are indexed by the CPI data, or by a fixed annual assumption (%)
+  inflationSource = "historical",
+  annualInflationPct,
+  inflation
+}) {
+  const assetReturns = buildAssetReturns(monthly, { returnBasis, cashAnnualPct, bondSeries });
+  const weights = normalizeAllocation(allocation, Object.keys(assetReturns));
+  const infl = resolveInflation({ monthly, inflationSource, inflation, annualInflationPct });
+  const range = narrowRange(coveredRange(monthly, weights, { returnBasis, bondSeries }), infl.range);
+  // Same end as the start-year analysis: the last loaded month is never simulated
+  const last = Math.min(range.last, monthly.length - 2);
+
+  const assets = Object.keys(weights);
+  const target = targetEndingBalancePct / 100;
+  const perYear = withdrawFrequency === "monthly" ? 12 : 1;
+
+  const durations = [];
+  for (let d = minDurationYears; d <= maxDurationYears; d++) durations.push(d);
+
+  const startYears = [];
+  const matrix = [];
+
+  for (let i = range.first; i + minDurationYears * 12 - 1 <= last; i++) {
+    if (Number(String(monthly[i].month).slice(5, 7)) !== 1) continue;
+
+    const row = new Array(durations.length).fill(null);
+    let growth = 1;
+    let drag = 0;
+    let index = 1;
+
+    for (let k = 0; k < maxDurationYears * 12 && i + k <= last; k++) {
+      const idx = i + k;
+      let r = 0;
+      for (const a of assets) r += weights[a] * assetReturns[a][idx];
+
+      growth *= 1 + r;
+      drag *= 1 + r;
+      const isWithdrawalMonth = withdrawFrequency === "monthly" || Number(String(monthly[idx].month).slice(5, 7)) === 1;
+      if (isWithdrawalMonth) drag += index;
+      index *= 1 + (infl.inflationRates ? infl.inflationRates[idx] : infl.monthlyInfl);
+
+      const years = (k + 1) / 12;
+      if (Number.isInteger(years) && years >= minDurationYears) {
+        row[years - minDurationYears] = ((growth - target * index) / drag) * perYear * 100;
+      }
+    }
+
+    startYears.push(Number(String(monthly[i].month).slice(0, 4)));
+    matrix.push(row);
+  }
+
+  if (!startYears.length) {
+    throw new Error(`No start year has ${minDurationYears} years of data for this allocation`);
+  }
+
+  const byDuration = durations.map((durationYears, j) => {
+    const rates = [];
+    matrix.forEach((row, s) => {
+      if (row[j] !== null) rates.push({ startYear: startYears[s], rate: row[j] });
+    });
+    rates.sort((a, b) => a.rate - b.rate);
+    const sorted = rates.map((x) => x.rate);
+
+    const percentiles = {};
+    for (const p of PWR_PERCENTILES) percentiles[`p${p}`] = percentile(sorted, p / 100);
+
+    return {
+      durationYears,
+      startYearsTested: rates.length,
+      minRatePct: rates.length ? rates[0].rate : null,
+      maxRatePct: rates.length ? rates[rates.length - 1].rate : null,
+      worstStartYear: rates.length ? rates[0].startYear : null,
+      bestStartYear: rates.length ? rates[rates.length - 1].startYear : null,
+      percentiles
+    };
+  });
+
+  return {
+    returnBasis,
+    inflationSource,
+    allocation: weightsToPct(weights),
+    // Fixed by the closed form: January starts, weights restored every month
+    startCadence: "annual",
+    rebalance: "monthly",
+    withdrawFrequency,
+    targetEndingBalancePct,
+    durations,
+    startYears,
+    // matrix[s][d]: PWR (% per year) for startYears[s] over durations[d]; null past the data
+    matrix,
+    byDuration
+  };
+}
+
+module.exports = { runPerfectWithdrawalRates };
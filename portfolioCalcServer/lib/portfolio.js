@@ -0,0 +1,111 @@
+// Multi-asset bookkeeping shared by the DCA and retirement simulations.
+// A portfolio holds one balance per asset series (stocks, cash, ...).
+// New money goes in at the target weights; withdrawals come out pro-rata,
+// so only market moves push the mix away from target.
+
+const REBALANCE_POLICIES = ["none", "monthly", "annual", "threshold"];
+
+// allocation: { stocks: 60, cash: 40 } in percent -> { stocks: 0.6, cash: 0.4 }
+function normalizeAllocation(allocation, availableAssets) {
+  const raw = allocation && typeof allocation === "object" ? allocation : { stocks: 100 };
+
+  const weights = {};
+  let sum = 0;
+  for (const [asset, value] of Object.entries(raw)) {
+    if (!availableAssets.includes(asset)) {
+      throw new Error(`Unknown asset in allocation: ${asset} (available: ${availableAssets.join(", ")})`);
+    }
+    const pct = Number(value);
+    if (!Number.isFinite(pct) || pct < 0) throw new Error(`Allocation for ${asset} must be >= 0`);
+    if (pct === 0) continue;
+    weights[asset] = pct;
+    sum += pct;
+  }
+
+  if (Math.abs(sum - 100) > 0.01) {
+    throw new Error(`Allocation weights must add up to 100 (got ${sum})`);
+  }
+
+  for (const asset of Object.keys(weights)) weights[asset] /= sum;
+  return weights;
+}
+
+function createPortfolio(weights, amount) {
+  const balances = {};
+  for (const [asset, w] of Object.entries(weights)) balances[asset] = amount * w;
+  return { weights, balances };
+}
+
+function portfolioValue(portfolio) {
+  let total = 0;
+  for (const b of Object.values(portfolio.balances)) total += b;
+  return total;
+}
+
+// assetReturns: { stocks: number[], cash: number[] } indexed like `monthly`
+function applyReturns(portfolio, assetReturns, i) {
+  for (const asset of Object.keys(portfolio.balances)) {
+    portfolio.balances[asset] *= (1 + assetReturns[asset][i]);
+  }
+}
+
+function deposit(portfolio, amount) {
+  for (const [asset, w] of Object.entries(portfolio.weights)) {
+    portfolio.balances[asset] += amount * w;
+  }
+}
+
+// Takes up to `amount` pro-rata from every asset; returns what was actually taken.
+function withdraw(portfolio, amount) {
+  const total = portfolioValue(portfolio);
+  if (total <= 0 || amount <= 0) return 0;
+
+  const taken = Math.min(total, amount);
+  const keep = (total - taken) / total;
+  for (const asset of Object.keys(portfolio.balances)) {
+    portfolio.balances[asset] *= keep;
+  }
+  return taken;
+}
+
+function rebalanceTo(portfolio, total) {
+  for (const [asset, w] of Object.entries(portfolio.weights)) {
+    portfolio.balances[asset] = total * w;
+  }
+}
+
+// rebalance: { policy: "none" | "monthly" | "annual" | "threshold", bandPct }
+// Annual rebalancing happens in January.
+// Threshold rebalancing fires when any weight drifts more than bandPct
+// percentage points from target. Returns true when a rebalance happened.
+function maybeRebalance(portfolio, rebalance, calendarMonth) {
+  const assets = Object.keys(portfolio.weights);
+  if (assets.length < 2) return false;
+
+  const total = portfolioValue(portfolio);
+  if (total <= 0) return false;
+
+  const policy = rebalance?.policy || "none";
+
+  let due = false;
+  if (policy === "monthly") due = true;
+  else if (policy === "annual") due = calendarMonth === 1;
+  else if (policy === "threshold") {
+    const band = (rebalance.bandPct ?? 5) / 100;
+    due = assets.some((a) => Math.abs(portfolio.balances[a] / total - portfolio.weights[a]) > band);
+  }
+
+  if (due) rebalanceTo(portfolio, total);
+  return due;
+}
+
+module.exports = {
+  REBALANCE_POLICIES,
+  normalizeAllocation,
+  createPortfolio,
+  portfolioValue,
+  applyReturns,
+  deposit,
+  withdraw,
+  maybeRebalance
+};
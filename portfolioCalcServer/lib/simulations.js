@@ -1,3 +1,25 @@
+const {
+  normalizeAllocation,
+  createPortfolio,
+  portfolioValue,
+  applyReturns,
+  deposit,
+  withdraw,
+  maybeRebalance
+} = require("./portfolio");
+const { createTaxState, scaleAccounts, drawFromAccounts, depositToAccounts, settleTaxYear } = require("./taxes");
+const { createFeeTracker, chargeFees, summarizeFees } = require("./fees");
+const {
+  createIncomeStreams,
+  usesHistoricalCola,
+  collectIncome,
+  projectIncome,
+  advanceCola,
+  summarizeIncomeStreams
+} = require("./incomeStreams");
+const { scheduleCashFlows, dueCashFlows } = require("./cashFlows");
+const { uniformLifetimeDivisor } = require("./rmd");
+
 function monthToIndex(month) {
   const [yStr, mStr] = String(month).split("-");
   const y = Number(yStr);
@@ -18,8 +40,19 @@ function median(values) {
   return (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
-function buildReturns(monthly) {
-  const closes = monthly.map((m) => Number(m.close));
+// Linear interpolation between closest ranks; `sorted` ascending.
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// returnBasis: "price" uses closes; "total" uses the dividend-reinvested level (trClose)
+function buildReturns(monthly, returnBasis = "price") {
+  const key = returnBasis === "total" ? "trClose" : "close";
+  const closes = monthly.map((m) => (m[key] === null || m[key] === undefined ? NaN : Number(m[key])));
   const returns = new Array(monthly.length).fill(0);
   for (let i = 1; i < monthly.length; i++) {
     const prev = closes[i - 1];
@@ -33,6 +66,46 @@ function buildReturns(monthly) {
   return returns;
 }
 
+// First index whose return is known for the basis (total-return data may start late).
+function firstReturnIndex(monthly, returnBasis = "price") {
+  if (returnBasis !== "total") return 0;
+  for (let i = 1; i < monthly.length; i++) {
+    if (monthly[i - 1].trClose > 0 && Number.isFinite(monthly[i].trClose)) return i;
+  }
+  return -1;
+}
+
+// Index range [first, last] where every asset held in `weights` has real data.
+function coveredRange(monthly, weights, { returnBasis = "price", bondSeries } = {}) {
+  let first = 0;
+  let last = monthly.length - 1;
+
+  if (weights.stocks && returnBasis === "total") {
+    const f = firstReturnIndex(monthly, returnBasis);
+    if (f < 0) throw new Error("Total-return data is not available for this dataset");
+    first = Math.max(first, f);
+  }
+
+  if (weights.bonds) {
+    const covered = monthly.map((m) => bondSeries.byMonth.has(m.month));
+    const f = covered.indexOf(true);
+    if (f < 0) throw new Error("Bond data does not overlap the S&P data");
+    first = Math.max(first, f);
+    last = Math.min(last, covered.lastIndexOf(true));
+  }
+
+  return { first, last };
+}
+
+function assertRangeCovered(monthly, range, startIdx, endIdx) {
+  if (range.first > range.last) throw new Error("The chosen assets have no months of data in common");
+  if (startIdx < range.first || endIdx > range.last) {
+    throw new Error(
+      `Return data for this allocation covers ${monthly[range.first].month} → ${monthly[range.last].month}`
+    );
+  }
+}
+
 function findMonthIndex(monthly, monthStr) {
   const idx = monthly.findIndex((m) => m.month === monthStr);
   if (idx >= 0) return idx;
@@ -54,43 +127,246 @@ function monthlyInflationRateFromAnnualPct(annualPct) {
   return Math.pow(1 + a, 1 / 12) - 1;
 }
 
-function runDcaMonthly({ monthly, initialLumpSum, monthlyContribution, startMonth, endMonth }) {
+// Monthly inflation for each entry of `monthly` from the CPI dataset: that month's
+// year-over-year rate (or the calendar year's average when the month is missing),
+// compounded monthly. null where the CPI data has no value.
+function buildHistoricalInflationRates(monthly, inflation) {
+  return monthly.map((m) => {
+    const monthRow = inflation.byMonth?.get(m.month);
+    if (monthRow) return monthlyInflationRateFromAnnualPct(monthRow.ratePct);
+
+    const row = inflation.byYear.get(Number(String(m.month).slice(0, 4)));
+    return row ? monthlyInflationRateFromAnnualPct(row.avgRatePct) : null;
+  });
+}
+
+// How spending gets indexed: a flat assumption ("fixed") or the CPI of each
+// simulated month ("historical"). `range` limits runs to months with CPI data.
+function resolveInflation({ monthly, inflationSource = "fixed", inflation, annualInflationPct }) {
+  if (inflationSource !== "historical") {
+    const annualInflPct = Number.isFinite(annualInflationPct) ? annualInflationPct : 3;
+    return { monthlyInfl: monthlyInflationRateFromAnnualPct(annualInflPct), inflationRates: null, range: null };
+  }
+
+  if (!inflation) throw new Error("Historical inflation data is not loaded");
+
+  const inflationRates = buildHistoricalInflationRates(monthly, inflation);
+  const first = inflationRates.findIndex((r) => r !== null);
+  if (first < 0) throw new Error("Inflation data does not overlap the S&P data");
+
+  let last = first;
+  while (last + 1 < inflationRates.length && inflationRates[last + 1] !== null) last++;
+
+  return { monthlyInfl: null, inflationRates, range: { first, last } };
+}
+
+// Reporting units. "real" deflates every dollar figure to start-date dollars using the
+// CPI data: a value at the end of month i is divided by the CPI growth from the start
+// month through month i. `range` limits runs to months with CPI data.
+function resolveUnits({ monthly, units = "nominal", inflation }) {
+  if (units !== "real") return { cpiRates: null, range: null };
+  const { inflationRates, range } = resolveInflation({ monthly, inflationSource: "historical", inflation });
+  return { cpiRates: inflationRates, range };
+}
+
+// Historical CPI rates for income streams with historical COLA (null when none need them).
+function resolveColaRates({ monthly, incomeStreams, inflation }) {
+  if (!incomeStreams || !usesHistoricalCola(incomeStreams)) return { colaRates: null, range: null };
+  const { inflationRates, range } = resolveInflation({ monthly, inflationSource: "historical", inflation });
+  return { colaRates: inflationRates, range };
+}
+
+function deflateBalances(balances, cpi) {
+  const out = {};
+  for (const [asset, b] of Object.entries(balances)) out[asset] = b / cpi;
+  return out;
+}
+
+// Real units: a settled tax year is reported in start-date dollars as of its settlement month.
+function deflateTaxYear(record, cpi) {
+  return {
+    ...record,
+    grossWithdrawn: record.grossWithdrawn / cpi,
+    withdrawnByAccount: deflateBalances(record.withdrawnByAccount, cpi),
+    ordinaryIncome: record.ordinaryIncome / cpi,
+    capitalGains: record.capitalGains / cpi,
+    federalTax: record.federalTax / cpi,
+    afterTaxSpending: record.afterTaxSpending / cpi
+  };
+}
+
+function summarizeTaxes(taxState, years, cpi) {
+  const sum = (key) => years.reduce((a, y) => a + y[key], 0);
+  return {
+    filingStatus: taxState.filingStatus,
+    withdrawalOrder: taxState.withdrawalOrder,
+    totalGrossWithdrawn: sum("grossWithdrawn"),
+    totalFederalTax: sum("federalTax"),
+    totalAfterTaxSpending: sum("afterTaxSpending"),
+    endingAccountBalances: deflateBalances(taxState.balances, cpi),
+    endingTaxableBasis: taxState.taxableBasis / cpi,
+    years
+  };
+}
+
+// Applies the cash flows due this month: inflows are added, outflows withdrawn pro-rata
+// (and from the tax buckets, when there are any). Returns the events for the series,
+// deflated by cpi, and the net nominal amount.
+function applyCashFlows(portfolio, due, { taxState, index = 1, cpi = 1 } = {}) {
+  if (!due) return { net: 0, events: null };
+
+  let net = 0;
+  const events = [];
+  for (const f of due) {
+    let moved;
+    if (f.amount >= 0) {
+      moved = f.amount;
+      deposit(portfolio, moved);
+      if (taxState) depositToAccounts(taxState, moved);
+    } else {
+      moved = -withdraw(portfolio, -f.amount);
+      if (taxState) drawFromAccounts(taxState, -moved, index);
+    }
+    net += moved;
+    events.push({ name: f.name, amount: moved / cpi });
+  }
+  return { net, events };
+}
+
+function narrowRange(range, other) {
+  if (!other) return range;
+  return { first: Math.max(range.first, other.first), last: Math.min(range.last, other.last) };
+}
+
+// Monthly returns for every asset the engine can hold, each indexed like `monthly`.
+// stocks: S&P (price or total basis); cash: a fixed annual yield;
+// bonds: synthesized from the yields CSV, when one is loaded (0 outside its range).
+function buildAssetReturns(monthly, { returnBasis = "price", cashAnnualPct = 0, bondSeries } = {}) {
+  const cashPct = Number.isFinite(cashAnnualPct) ? cashAnnualPct : 0;
+  const cashMonthly = Math.pow(1 + cashPct / 100, 1 / 12) - 1;
+
+  const assetReturns = {
+    stocks: buildReturns(monthly, returnBasis),
+    cash: new Array(monthly.length).fill(cashMonthly)
+  };
+
+  if (bondSeries) {
+    assetReturns.bonds = monthly.map((m) => bondSeries.byMonth.get(m.month)?.monthlyReturn ?? 0);
+  }
+
+  return assetReturns;
+}
+
+// { stocks: 0.6, cash: 0.4 } -> { stocks: 60, cash: 40 } for responses
+function weightsToPct(weights) {
+  const out = {};
+  for (const [asset, w] of Object.entries(weights)) out[asset] = w * 100;
+  return out;
+}
+
+function runDcaMonthly({
+  monthly,
+  initialLumpSum,
+  monthlyContribution,
+  startMonth,
+  endMonth,
+  returnBasis = "price",
+  allocation,
+  rebalance,
+  cashAnnualPct,
+  bondSeries,
+
+  // "nominal" | "real" (start-date dollars, needs the CPI data)
+  units = "nominal",
+  inflation,
+
+  // Optional { expenseRatioPct, aumFeePct, flatAnnualFee } (see lib/fees.js)
+  fees = null,
+
+  // Optional one-off / recurring amounts (see lib/cashFlows.js); indexed ones follow the CPI data
+  cashFlows = null
+}) {
   const startIdx = findMonthIndex(monthly, startMonth);
   const endIdx = findMonthIndex(monthly, endMonth);
   if (startIdx < 0) throw new Error(`startMonth not found: ${startMonth}`);
   if (endIdx < 0) throw new Error(`endMonth not found: ${endMonth}`);
   if (startIdx > endIdx) throw new Error(`startMonth must be <= endMonth`);
 
-  const returns = buildReturns(monthly);
-
-  let balance = Number.isFinite(initialLumpSum) ? initialLumpSum : 0;
-  let contributed = Number.isFinite(initialLumpSum) ? initialLumpSum : 0;
+  const assetReturns = buildAssetReturns(monthly, { returnBasis, cashAnnualPct, bondSeries });
+  const weights = normalizeAllocation(allocation, Object.keys(assetReturns));
+  const { cpiRates, range: cpiRange } = resolveUnits({ monthly, units, inflation });
+  const flowInfl = cashFlows && cashFlows.some((f) => f.indexed)
+    ? resolveInflation({ monthly, inflationSource: "historical", inflation })
+    : { inflationRates: null, range: null };
+  assertRangeCovered(
+    monthly,
+    [cpiRange, flowInfl.range].reduce(narrowRange, coveredRange(monthly, weights, { returnBasis, bondSeries })),
+    startIdx,
+    endIdx
+  );
+
+  const lumpSum = Number.isFinite(initialLumpSum) ? initialLumpSum : 0;
+  const portfolio = createPortfolio(weights, lumpSum);
+
+  let balance = lumpSum;
+  let contributed = lumpSum;
+  let cpi = 1;
+  const feeTracker = fees ? createFeeTracker(fees) : null;
+
+  const schedule = scheduleCashFlows(cashFlows, monthly[startIdx].month, endIdx - startIdx + 1);
+  let flowIndex = 1;
+  let netCashFlows = 0;
 
   const series = [];
 
   for (let i = startIdx; i <= endIdx; i++) {
-    balance *= (1 + returns[i]);
+    const m = Number(String(monthly[i].month).slice(5, 7));
+    if (cpiRates) cpi *= 1 + cpiRates[i];
+    if (flowInfl.inflationRates) flowIndex *= 1 + flowInfl.inflationRates[i];
+
+    applyReturns(portfolio, assetReturns, i);
+    if (feeTracker) {
+      chargeFees(feeTracker, portfolio, { year: Number(String(monthly[i].month).slice(0, 4)), calendarMonth: m, cpi });
+    }
+
+    deposit(portfolio, monthlyContribution);
+    contributed += monthlyContribution / cpi;
+
+    const flows = applyCashFlows(portfolio, dueCashFlows(schedule, i - startIdx, flowIndex), { cpi });
+    netCashFlows += flows.net / cpi;
 
-    balance += monthlyContribution;
-    contributed += monthlyContribution;
+    maybeRebalance(portfolio, rebalance, m);
+    balance = portfolioValue(portfolio) / cpi;
 
     series.push({
       month: monthly[i].month,
-      value: balance
+      value: balance,
+      balances: deflateBalances(portfolio.balances, cpi),
+      cashFlow: flows.net / cpi,
+      events: flows.events
     });
   }
 
   return {
     startMonth,
     endMonth,
-    initialLumpSum: Number.isFinite(initialLumpSum) ? initialLumpSum : 0,
+    units,
+    returnBasis,
+    allocation: weightsToPct(weights),
+    rebalance: rebalance?.policy || "none",
+    initialLumpSum: lumpSum,
     monthlyContribution,
     contributed,
+    netCashFlows,
     endingValue: balance,
+    fees: feeTracker ? summarizeFees(feeTracker) : null,
     series
   };
 }
 
+// Modes that spend a planned amount set from the initial balance and grown with inflation
+const PLANNED_SPENDING_MODES = ["percentOfCurrent", "ratchet", "drawdownCuts"];
+
 function computeWithdrawal({
   mode,
   ratePerYear,
@@ -100,13 +376,57 @@ function computeWithdrawal({
   guardrailsState,
   guardrailsConfig,
   ytdReturnAfterMarket,
+  priorYearReturn,
+  year,
   isWithdrawalMonth,
 
+  // Guyton-Klinger: state/config from createGuytonKlinger, months left in the run
+  gkState,
+  gkConfig,
+  monthsRemaining,
+
+  // VPW: config from createVpw, months since the start of the run
+  vpwConfig,
+  monthsElapsed,
+
+  // RMD table: the retiree's age in the first month of the run
+  retireeAge,
+
+  // Vanguard dynamic spending: year-over-year state/config from createDynamicSpending
+  dynamicState,
+  dynamicConfig,
+
+  // Endowment smoothing: year-over-year state from createEndowment
+  endowmentState,
+
+  // Kitces ratchet: state from createRatchet
+  ratchetState,
+
+  // Drawdown-triggered cuts: state from createDrawdownCuts
+  drawdownState,
+
   // Inflation-adjusted spending (based on initial)
   inflationBasePeriodWithdraw,
   inflationFactor
 }) {
-  if (!isWithdrawalMonth) return { withdrawal: 0, guardrailsRate: guardrailsState?.currentRate ?? null };
+  // Ratchets are checked on every anniversary, withdrawal month or not
+  const ratcheted = mode === "ratchet" ? applyRatchet(ratchetState, { balance, initialBalance, monthsElapsed }) : false;
+
+  // Drawdown tiers follow the balance every month too, in the dollars spending is indexed to
+  if (mode === "drawdownCuts") updateDrawdownCut(drawdownState, balance / inflationFactor);
+
+  if (!isWithdrawalMonth) {
+    return {
+      withdrawal: 0,
+      guardrailsRate: guardrailsState?.currentRate ?? null,
+      gkRules: null,
+      vpwRate: null,
+      rmdDivisor: null,
+      dynamicRule: null,
+      endowmentTarget: null,
+      ratcheted
+    };
+  }
 
   const freq = frequency; // "monthly" | "annual"
 
@@ -123,15 +443,35 @@ function computeWithdrawal({
     return { withdrawal: w, guardrailsRate: null };
   }
 
+  // Inflation-adjusted spending, raised for good by every ratchet so far
+  if (mode === "ratchet") {
+    const w = inflationBasePeriodWithdraw * inflationFactor * ratchetState.factor;
+    return { withdrawal: w, guardrailsRate: null, ratcheted };
+  }
+
+  // Inflation-adjusted spending, less the cut of the drawdown tier currently in force
+  if (mode === "drawdownCuts") {
+    const w = inflationBasePeriodWithdraw * inflationFactor * (1 - drawdownState.cut);
+    return { withdrawal: w, guardrailsRate: null };
+  }
+
   if (mode === "guardrails") {
     const step = guardrailsConfig.step; // absolute rate step (e.g. 0.0025)
     const minRate = guardrailsConfig.minRate;
     const maxRate = guardrailsConfig.maxRate;
 
-    if (Number.isFinite(ytdReturnAfterMarket)) {
-      if (ytdReturnAfterMarket > 0.08) {
+    // "monthly": every withdrawal looks at the run-year-to-date return.
+    // "annual": the first withdrawal of each run year looks at the previous full run year.
+    let trailingReturn = ytdReturnAfterMarket;
+    if (guardrailsConfig.evaluation === "annual") {
+      trailingReturn = guardrailsState.lastEvaluatedYear !== year ? priorYearReturn : null;
+      guardrailsState.lastEvaluatedYear = year;
+    }
+
+    if (Number.isFinite(trailingReturn)) {
+      if (trailingReturn > guardrailsConfig.upperTrigger) {
         guardrailsState.currentRate = clamp(guardrailsState.currentRate + step, minRate, maxRate);
-      } else if (ytdReturnAfterMarket < 0.03) {
+      } else if (trailingReturn < guardrailsConfig.lowerTrigger) {
         guardrailsState.currentRate = clamp(guardrailsState.currentRate - step, minRate, maxRate);
       }
     }
@@ -146,49 +486,276 @@ function computeWithdrawal({
     return { withdrawal: w, guardrailsRate: guardrailsState.currentRate };
   }
 
+  if (mode === "guytonKlinger") {
+    const rules = gkState.annualSpending === null ? null : applyGuytonKlingerRules(gkState, gkConfig, {
+      balance,
+      year,
+      monthsRemaining
+    });
+    if (gkState.annualSpending === null) {
+      gkState.annualSpending = initialBalance * ratePerYear;
+      gkState.lastDecisionYear = year;
+      // The first decision looks at the market from here on, not at the start month's return
+      gkState.growth = 1;
+    }
+
+    const w = freq === "monthly" ? gkState.annualSpending / 12 : gkState.annualSpending;
+    return { withdrawal: w, guardrailsRate: null, gkRules: rules };
+  }
+
+  if (mode === "vpw") {
+    const yearsLeft = vpwConfig.horizonYears - Math.floor(monthsElapsed / 12);
+    const rate = vpwTableRate(vpwConfig.realReturn, yearsLeft);
+    const annual = balance * rate;
+    return { withdrawal: freq === "monthly" ? annual / 12 : annual, guardrailsRate: null, vpwRate: rate };
+  }
+
+  // Balance / Uniform Lifetime divisor for the age reached this run year (see lib/rmd.js)
+  if (mode === "rmd") {
+    const divisor = uniformLifetimeDivisor(retireeAge + Math.floor(monthsElapsed / 12));
+    const annual = balance / divisor;
+    return { withdrawal: freq === "monthly" ? annual / 12 : annual, guardrailsRate: null, rmdDivisor: divisor };
+  }
+
+  if (mode === "endowment") {
+    const blended = applyEndowmentRule(endowmentState, { target: balance * ratePerYear, year });
+    const w = freq === "monthly" ? endowmentState.annualSpending / 12 : endowmentState.annualSpending;
+    return { withdrawal: w, guardrailsRate: null, endowmentTarget: blended };
+  }
+
+  if (mode === "vanguardDynamic") {
+    const rule = applyDynamicSpending(dynamicState, dynamicConfig, { target: balance * ratePerYear, year });
+    const w = freq === "monthly" ? dynamicState.annualSpending / 12 : dynamicState.annualSpending;
+    return { withdrawal: w, guardrailsRate: null, dynamicRule: rule };
+  }
+
   throw new Error(`Unknown withdrawal mode: ${mode}`);
 }
 
-function runRetirementMonthly({
-  monthly,
-  initialBalance,
-  startMonth,
-  durationYears,
-  withdrawMode,
-  withdrawValue,
-  withdrawFrequency,
-  guardrailsMinPct,
-  guardrailsMaxPct,
-  guardrailsMinDollar,
 
-  // For "percentOfCurrent" mode (inflation-adjusted spending): annual inflation assumption (%)
-  percentOfCurrentAnnualInflationPct
-}) {
-  const startIdx = findMonthIndex(monthly, startMonth);
-  if (startIdx < 0) throw new Error(`startMonth not found: ${startMonth}`);
+// Guyton-Klinger decision rules. Spending is set once per run year, at the year's first
+// withdrawal, from the market growth and inflation since the previous decision:
+// - inflation rule: spending follows inflation, except it is frozen after a year with a negative
+//   return while the current withdrawal rate is above the initial one (freezeAfterLoss);
+// - capital preservation: rate above initial * (1 + capitalPreservationPct) -> cut by cutPct,
+//   except in the last sunsetYears of the run;
+// - prosperity: rate below initial * (1 - prosperityPct) -> raise by raisePct.
+// Percent inputs; defaults are the published 20 / 20 / 10 / 10 / freeze / 15 years.
+function createGuytonKlinger({ withdrawMode, withdrawValue, guytonKlinger }) {
+  if (withdrawMode !== "guytonKlinger") return { gkState: null, gkConfig: null };
 
-  const endIdxExclusive = startIdx + durationYears * 12;
-  if (endIdxExclusive > monthly.length - 1) {
-    throw new Error(`Not enough data for ${durationYears} years from ${startMonth}`);
+  const cfg = guytonKlinger || {};
+  const pct = (v, d) => (Number.isFinite(v) ? v : d) / 100;
+
+  return {
+    gkState: {
+      initialRate: withdrawValue / 100,
+      annualSpending: null,
+      lastDecisionYear: null,
+      growth: 1, // market growth since the last decision
+      inflation: 1 // inflation since the last decision
+    },
+    gkConfig: {
+      capitalPreservation: pct(cfg.capitalPreservationPct, 20),
+      prosperity: pct(cfg.prosperityPct, 20),
+      cut: pct(cfg.cutPct, 10),
+      raise: pct(cfg.raisePct, 10),
+      freezeAfterLoss: cfg.freezeAfterLoss !== false,
+      sunsetYears: Number.isFinite(cfg.sunsetYears) ? cfg.sunsetYears : 15
+    }
+  };
+}
+
+// Returns the rules that fired, or null when this is not the year's first withdrawal.
+function applyGuytonKlingerRules(state, config, { balance, year, monthsRemaining }) {
+  if (state.lastDecisionYear === year) return null;
+
+  const rules = [];
+  const rateBefore = balance > 0 ? state.annualSpending / balance : Infinity;
+
+  if (config.freezeAfterLoss && state.growth < 1 && rateBefore > state.initialRate) {
+    rules.push("inflationFreeze");
+  } else {
+    state.annualSpending *= state.inflation;
+    rules.push("inflation");
   }
 
-  const returns = buildReturns(monthly);
+  const rate = balance > 0 ? state.annualSpending / balance : Infinity;
+  if (rate > state.initialRate * (1 + config.capitalPreservation)) {
+    if (monthsRemaining > config.sunsetYears * 12) {
+      state.annualSpending *= 1 - config.cut;
+      rules.push("capitalPreservation");
+    } else {
+      rules.push("sunset");
+    }
+  } else if (rate < state.initialRate * (1 - config.prosperity)) {
+    state.annualSpending *= 1 + config.raise;
+    rules.push("prosperity");
+  }
 
-  let balance = initialBalance;
-  let success = true;
-  let totalWithdrawn = 0;
+  state.lastDecisionYear = year;
+  state.growth = 1;
+  state.inflation = 1;
+  return rules;
+}
 
-  let highestBalance = balance;
-  let lowestBalance = balance;
+// Vanguard-style dynamic spending: once per run year (at its first withdrawal) spending is
+// reset to withdrawValue % of the balance, but its real change from the prior year is held
+// between -floorPct and +ceilingPct. "Real" uses the run's inflation since the last decision.
+function createDynamicSpending({ withdrawMode, dynamicCeilingPct, dynamicFloorPct }) {
+  if (withdrawMode !== "vanguardDynamic") return { dynamicState: null, dynamicConfig: null };
 
-  let peak = balance;
-  let maxDrawdown = 0;
+  return {
+    dynamicState: { annualSpending: null, lastDecisionYear: null, inflation: 1 },
+    dynamicConfig: {
+      ceiling: (Number.isFinite(dynamicCeilingPct) ? dynamicCeilingPct : 5) / 100,
+      floor: (Number.isFinite(dynamicFloorPct) ? dynamicFloorPct : 2.5) / 100
+    }
+  };
+}
+
+// Returns "initial" | "target" | "ceiling" | "floor" at a decision, null otherwise.
+function applyDynamicSpending(state, config, { target, year }) {
+  if (state.lastDecisionYear === year) return null;
 
-  const guardrailsState = { currentRate: null };
+  let rule = "initial";
+  if (state.annualSpending === null) {
+    state.annualSpending = target;
+  } else {
+    const prior = state.annualSpending * state.inflation;
+    const ceiling = prior * (1 + config.ceiling);
+    const floor = prior * (1 - config.floor);
+
+    rule = target > ceiling ? "ceiling" : target < floor ? "floor" : "target";
+    state.annualSpending = clamp(target, floor, ceiling);
+  }
+
+  state.lastDecisionYear = year;
+  state.inflation = 1;
+  return rule;
+}
+
+// Kitces ratchet: inflation-adjusted spending from the initial balance that is raised by
+// ratchetPct (default 10) whenever the balance is at least ratchetThresholdPct (default 150) of
+// the initial balance on a run anniversary, at most once every ratchetEveryYears (default 3).
+function createRatchet({ withdrawMode, ratchetThresholdPct, ratchetPct, ratchetEveryYears }) {
+  if (withdrawMode !== "ratchet") return null;
+  return {
+    threshold: (Number.isFinite(ratchetThresholdPct) ? ratchetThresholdPct : 150) / 100,
+    raise: (Number.isFinite(ratchetPct) ? ratchetPct : 10) / 100,
+    everyMonths: (Number.isFinite(ratchetEveryYears) ? ratchetEveryYears : 3) * 12,
+    factor: 1,
+    lastRatchetMonth: null
+  };
+}
+
+// Returns true when spending was ratcheted up this month.
+function applyRatchet(state, { balance, initialBalance, monthsElapsed }) {
+  if (monthsElapsed === 0 || monthsElapsed % 12 !== 0) return false;
+  if (balance < initialBalance * state.threshold) return false;
+  if (state.lastRatchetMonth !== null && monthsElapsed - state.lastRatchetMonth < state.everyMonths) return false;
+
+  state.factor *= 1 + state.raise;
+  state.lastRatchetMonth = monthsElapsed;
+  return true;
+}
+
+// Drawdown-triggered cuts: inflation-adjusted spending from the initial balance, cut by the
+// deepest tier whose drawdownPct the balance has fallen below its running peak, and restored
+// as soon as the balance recovers above that tier. The peak and drawdown are real: the balance
+// is deflated by the same inflation that grows the spending, so inflation cannot hide a loss. Default tiers: 20% -> 10% cut,
+// 35% -> 25% cut.
+const DEFAULT_DRAWDOWN_TIERS = [
+  { drawdownPct: 20, cutPct: 10 },
+  { drawdownPct: 35, cutPct: 25 }
+];
+
+function createDrawdownCuts({ withdrawMode, initialBalance, drawdownTiers }) {
+  if (withdrawMode !== "drawdownCuts") return null;
+
+  const tiers = (drawdownTiers && drawdownTiers.length ? drawdownTiers : DEFAULT_DRAWDOWN_TIERS)
+    .map((t) => ({ drawdown: t.drawdownPct / 100, cut: t.cutPct / 100 }))
+    .sort((a, b) => b.drawdown - a.drawdown);
+
+  return { tiers, peak: initialBalance, drawdown: 0, cut: 0, reducedMonths: 0 };
+}
+
+function updateDrawdownCut(state, balance) {
+  state.peak = Math.max(state.peak, balance);
+  state.drawdown = state.peak > 0 ? 1 - balance / state.peak : 0;
+
+  const tier = state.tiers.find((t) => state.drawdown >= t.drawdown);
+  state.cut = tier ? tier.cut : 0;
+  if (state.cut > 0) state.reducedMonths++;
+}
+
+// Endowment (Yale) smoothing: once per run year (at its first withdrawal)
+// spending = weight * last year's spending grown by inflation + (1 - weight) * withdrawValue % of
+// the balance. The first year starts at the target. endowmentWeightPct defaults to 70.
+function createEndowment({ withdrawMode, endowmentWeightPct }) {
+  if (withdrawMode !== "endowment") return null;
+  return {
+    weight: (Number.isFinite(endowmentWeightPct) ? endowmentWeightPct : 70) / 100,
+    annualSpending: null,
+    lastDecisionYear: null,
+    inflation: 1 // inflation since the last decision
+  };
+}
+
+// Returns the balance-based target at a decision, null otherwise.
+function applyEndowmentRule(state, { target, year }) {
+  if (state.lastDecisionYear === year) return null;
+
+  state.annualSpending = state.annualSpending === null
+    ? target
+    : state.weight * state.annualSpending * state.inflation + (1 - state.weight) * target;
+
+  state.lastDecisionYear = year;
+  state.inflation = 1;
+  return target;
+}
+
+// Variable Percentage Withdrawal (Bogleheads): each run year withdraws the payment that would
+// amortize the balance over the years left in the horizon at the expected real return.
+// Without vpwRealReturnPct the return is the allocation's blend of these long-run real returns (%).
+const VPW_REAL_RETURN_PCT = { stocks: 5.0, bonds: 1.9, cash: 0 };
+
+function vpwTableRate(realReturn, yearsLeft) {
+  if (yearsLeft <= 1) return 1;
+  if (Math.abs(realReturn) < 1e-9) return 1 / yearsLeft;
+  return Math.min(1, realReturn / (1 - Math.pow(1 + realReturn, -yearsLeft)));
+}
+
+function createVpw({ withdrawMode, weights, durationYears, vpwRealReturnPct, vpwHorizonYears }) {
+  if (withdrawMode !== "vpw") return null;
+
+  const blendPct = Object.entries(weights).reduce((a, [asset, w]) => a + w * (VPW_REAL_RETURN_PCT[asset] || 0), 0);
+  return {
+    realReturn: (Number.isFinite(vpwRealReturnPct) ? vpwRealReturnPct : blendPct) / 100,
+    horizonYears: Number.isFinite(vpwHorizonYears) ? vpwHorizonYears : durationYears
+  };
+}
+
+// Triggers and step are percent inputs (defaults: > 8% raises, < 3% cuts, 0.25 points per step).
+function createGuardrails({
+  withdrawMode,
+  withdrawValue,
+  guardrailsMinPct,
+  guardrailsMaxPct,
+  guardrailsMinDollar,
+  guardrailsUpperTriggerPct,
+  guardrailsLowerTriggerPct,
+  guardrailsStepPct,
+  guardrailsEvaluation
+}) {
+  const guardrailsState = { currentRate: null, lastEvaluatedYear: null };
   const guardrailsConfig = {
     minRate: 0,
     maxRate: 1,
     step: 0.0025, // 0.25 percentage points
+    upperTrigger: 0.08,
+    lowerTrigger: 0.03,
+    evaluation: "monthly",
     minDollarFloor: 0
   };
 
@@ -206,40 +773,182 @@ function runRetirementMonthly({
     guardrailsConfig.minRate = minRate;
     guardrailsConfig.maxRate = maxRate;
     guardrailsConfig.minDollarFloor = Number.isFinite(guardrailsMinDollar) ? Math.max(0, guardrailsMinDollar) : 0;
+
+    if (Number.isFinite(guardrailsUpperTriggerPct)) guardrailsConfig.upperTrigger = guardrailsUpperTriggerPct / 100;
+    if (Number.isFinite(guardrailsLowerTriggerPct)) guardrailsConfig.lowerTrigger = guardrailsLowerTriggerPct / 100;
+    if (Number.isFinite(guardrailsStepPct)) guardrailsConfig.step = guardrailsStepPct / 100;
+    if (guardrailsEvaluation) guardrailsConfig.evaluation = guardrailsEvaluation;
+
+    if (guardrailsConfig.lowerTrigger > guardrailsConfig.upperTrigger) {
+      throw new Error("Guardrails lower trigger must be <= upper trigger");
+    }
+    if (!(guardrailsConfig.step > 0)) throw new Error("Guardrails step must be > 0");
   }
 
-  let currentYear = Number(String(monthly[startIdx].month).slice(0, 4));
+  return { guardrailsState, guardrailsConfig };
+}
+
+// One retirement run over months [startIdx, endIdxExclusive).
+// Shared by the single-run simulation and the all-start-years analysis.
+// months: "YYYY-MM" labels; assetReturns: per-asset returns; inflationRates (optional):
+// monthly CPI inflation, all indexed alike. Without inflationRates, monthlyInfl is used.
+// cpiRates (optional, see resolveUnits) switches every reported dollar figure to real terms;
+// the withdrawal rules themselves always run on nominal balances.
+// tax (optional): account split and tax settings (see lib/taxes.js); tax brackets are
+// indexed with the same inflation that drives inflation-adjusted spending.
+// fees (optional): expense ratio / AUM fee / flat yearly fee (see lib/fees.js).
+// incomeStreams (optional, see lib/incomeStreams.js) cover spending before the portfolio
+// does; colaRates: monthly CPI inflation for streams with historical COLA.
+// cashFlows (optional, see lib/cashFlows.js): one-off / recurring inflows and expenses;
+// indexed ones grow with the same inflation as the tax brackets, up to and including
+// the month they fall in.
+function simulateRetirementPath({
+  months,
+  assetReturns,
+  startIdx,
+  endIdxExclusive,
+  initialBalance,
+  withdrawMode,
+  withdrawValue,
+  withdrawFrequency,
+  guardrailsMinPct,
+  guardrailsMaxPct,
+  guardrailsMinDollar,
+  guardrailsUpperTriggerPct,
+  guardrailsLowerTriggerPct,
+  guardrailsStepPct,
+  guardrailsEvaluation,
+  guytonKlinger,
+  vpwRealReturnPct,
+  vpwHorizonYears,
+  dynamicCeilingPct,
+  dynamicFloorPct,
+  retireeAge,
+  endowmentWeightPct,
+  ratchetThresholdPct,
+  ratchetPct,
+  ratchetEveryYears,
+  drawdownTiers,
+  monthlyInfl,
+  inflationRates,
+  cpiRates,
+  tax,
+  fees,
+  incomeStreams,
+  colaRates,
+  cashFlows,
+  weights,
+  rebalance,
+  recordSeries
+}) {
+  const portfolio = createPortfolio(weights, initialBalance);
+
+  const taxState = tax ? createTaxState({ ...tax, initialBalance }) : null;
+  const taxYears = [];
+
+  // The run's inflation since the start: indexes tax brackets and cash flows
+  let priceIndex = 1;
+
+  const feeTracker = fees ? createFeeTracker(fees) : null;
+
+  const streams = incomeStreams && incomeStreams.length ? createIncomeStreams(incomeStreams) : null;
+  let totalIncome = 0;
+  // Income still earmarked for the current withdrawal period's spending
+  let incomeSetAside = 0;
+
+  const schedule = scheduleCashFlows(cashFlows, months[startIdx], endIdxExclusive - startIdx);
+  const cashFlowEvents = [];
+  let netCashFlows = 0;
+
+  let balance = initialBalance;
+  let success = true;
+  let totalWithdrawn = 0;
+
+  // CPI growth since the start; 1 throughout for nominal reporting
+  let cpi = 1;
+
+  let highestBalance = balance;
+  let lowestBalance = balance;
+
+  let peak = balance;
+  let maxDrawdown = 0;
+
+  let depletedMonth = null; // months after start when the balance hit 0
+
+  const { guardrailsState, guardrailsConfig } = createGuardrails({
+    withdrawMode,
+    withdrawValue,
+    guardrailsMinPct,
+    guardrailsMaxPct,
+    guardrailsMinDollar,
+    guardrailsUpperTriggerPct,
+    guardrailsLowerTriggerPct,
+    guardrailsStepPct,
+    guardrailsEvaluation
+  });
+  const { gkState, gkConfig } = createGuytonKlinger({ withdrawMode, withdrawValue, guytonKlinger });
+  const { dynamicState, dynamicConfig } = createDynamicSpending({ withdrawMode, dynamicCeilingPct, dynamicFloorPct });
+  const endowmentState = createEndowment({ withdrawMode, endowmentWeightPct });
+  const ratchetState = createRatchet({ withdrawMode, ratchetThresholdPct, ratchetPct, ratchetEveryYears });
+  const drawdownState = createDrawdownCuts({ withdrawMode, initialBalance, drawdownTiers });
+  const vpwConfig = createVpw({
+    withdrawMode,
+    weights,
+    durationYears: (endIdxExclusive - startIdx) / 12,
+    vpwRealReturnPct,
+    vpwHorizonYears
+  });
+
+  // Annual withdrawals and decisions fall on the start's anniversary, so years are run years
+  let currentYear = 0;
   let yearStartBalance = balance;
+  let priorYearReturn = null; // last full run year (after withdrawals), for annual guardrails
+
+  // VPW and RMD take their rate from a table instead
+  const tableRate = withdrawMode === "vpw" || withdrawMode === "rmd";
+  if (withdrawMode === "rmd" && !Number.isFinite(retireeAge)) throw new Error("retireeAge is required for the RMD mode");
 
-  // For inflation-adjusted spending (based on initial)
   const baseRateDecimal = withdrawValue / 100;
-  const annualInflPct = Number.isFinite(percentOfCurrentAnnualInflationPct) ? percentOfCurrentAnnualInflationPct : 3;
-  const monthlyInfl = monthlyInflationRateFromAnnualPct(annualInflPct);
+  if (!tableRate && (!Number.isFinite(baseRateDecimal) || baseRateDecimal <= 0)) {
+    throw new Error("Withdraw rate must be > 0");
+  }
+
+  // For inflation-adjusted spending (based on initial)
   let inflationFactor = 1;
 
   // Base withdrawal for the period, derived from the INITIAL balance (not current).
   // Monthly uses initial * rate / 12; Annual uses initial * rate.
   const inflationBasePeriodWithdraw =
-    withdrawMode === "percentOfCurrent"
+    PLANNED_SPENDING_MODES.includes(withdrawMode)
       ? (withdrawFrequency === "monthly"
           ? (initialBalance * baseRateDecimal) / 12
           : (initialBalance * baseRateDecimal))
       : 0;
 
-  const series = [];
+  const series = recordSeries ? [] : null;
 
   for (let i = startIdx; i < endIdxExclusive; i++) {
-    const monthStr = monthly[i].month;
+    const monthStr = months[i];
     const y = Number(String(monthStr).slice(0, 4));
     const m = Number(String(monthStr).slice(5, 7));
 
-    if (y !== currentYear) {
-      currentYear = y;
+    const runYear = Math.floor((i - startIdx) / 12);
+
+    if (runYear !== currentYear) {
+      priorYearReturn = yearStartBalance > 0 ? balance / yearStartBalance - 1 : null;
+      currentYear = runYear;
       yearStartBalance = balance;
     }
 
+    if (cpiRates) cpi *= 1 + cpiRates[i];
+
     // Market return
-    balance *= (1 + returns[i]);
+    const beforeMarket = balance;
+    applyReturns(portfolio, assetReturns, i);
+    if (feeTracker) chargeFees(feeTracker, portfolio, { year: y, calendarMonth: m, cpi });
+    balance = portfolioValue(portfolio);
+    if (taxState && beforeMarket > 0) scaleAccounts(taxState, balance / beforeMarket);
+    if (gkState && beforeMarket > 0) gkState.growth *= balance / beforeMarket;
 
     const ytdReturnAfterMarket =
       yearStartBalance > 0 ? (balance / yearStartBalance - 1) : 0;
@@ -247,64 +956,169 @@ function runRetirementMonthly({
     const isWithdrawalMonth =
       withdrawFrequency === "monthly"
         ? true
-        : (m === 1);
-
-    let withdrawalRatePerYearDecimal = baseRateDecimal;
-    if (!Number.isFinite(withdrawalRatePerYearDecimal) || withdrawalRatePerYearDecimal <= 0) {
-      throw new Error("Withdraw rate must be > 0");
-    }
-
-    const { withdrawal, guardrailsRate } = computeWithdrawal({
+        : (i - startIdx) % 12 === 0;
+
+    const {
+      withdrawal,
+      guardrailsRate,
+      gkRules,
+      vpwRate,
+      rmdDivisor,
+      dynamicRule,
+      endowmentTarget,
+      ratcheted
+    } = computeWithdrawal({
       mode: withdrawMode,
-      ratePerYear: withdrawalRatePerYearDecimal,
+      ratePerYear: baseRateDecimal,
       initialBalance,
       balance,
       frequency: withdrawFrequency,
       guardrailsState,
       guardrailsConfig,
       ytdReturnAfterMarket,
+      priorYearReturn,
+      year: runYear,
       isWithdrawalMonth,
+      gkState,
+      gkConfig,
+      monthsRemaining: endIdxExclusive - i,
+      vpwConfig,
+      monthsElapsed: i - startIdx,
+      retireeAge,
+      dynamicState,
+      dynamicConfig,
+      endowmentState,
+      ratchetState,
+      drawdownState,
       inflationBasePeriodWithdraw,
       inflationFactor
     });
 
-    const w = Math.min(balance, Math.max(0, withdrawal));
-    balance -= w;
-    totalWithdrawn += w;
+    // Outside income covers spending first and the portfolio funds the rest. An annual
+    // withdrawal nets the income of the whole year it pays for, which is then set aside
+    // as it arrives; income beyond the period's spending is reinvested.
+    const need = Math.max(0, withdrawal);
+    let covered = 0;
+    if (streams && isWithdrawalMonth) {
+      const periodMonths = withdrawFrequency === "monthly" ? 1 : Math.min(12, endIdxExclusive - i);
+      const periodIncome = projectIncome(
+        streams,
+        i - startIdx,
+        periodMonths,
+        colaRates && colaRates.slice(i, i + periodMonths)
+      );
+      covered = Math.min(need, periodIncome);
+      incomeSetAside = covered;
+    }
+    const income = streams ? collectIncome(streams, i - startIdx, cpi) : 0;
+    totalIncome += income / cpi;
+
+    // Pro-rata across assets, then bring the mix back in line if the policy says so
+    const w = withdraw(portfolio, need - covered);
+    totalWithdrawn += w / cpi;
+    if (taxState) drawFromAccounts(taxState, w, priceIndex);
+
+    const spentIncome = Math.min(income, incomeSetAside);
+    incomeSetAside -= spentIncome;
+    if (income > spentIncome) {
+      deposit(portfolio, income - spentIncome);
+      if (taxState) depositToAccounts(taxState, income - spentIncome);
+    }
+
+    // Indexed flows count this month's inflation too, as the CPI that real units deflate by does
+    const flowIndex = priceIndex * (1 + (inflationRates ? inflationRates[i] : monthlyInfl));
+    const flows = applyCashFlows(portfolio, dueCashFlows(schedule, i - startIdx, flowIndex), {
+      taxState,
+      index: priceIndex,
+      cpi
+    });
+    netCashFlows += flows.net / cpi;
+    if (flows.events) cashFlowEvents.push(...flows.events.map((e) => ({ month: monthStr, ...e })));
+
+    maybeRebalance(portfolio, rebalance, m);
+    balance = portfolioValue(portfolio);
 
+    // A VPW portfolio only reaches 0 by paying out its last year in full, as planned
     if (balance <= 0) {
       balance = 0;
-      success = false;
+      if (!vpwConfig) {
+        success = false;
+        depletedMonth = i - startIdx;
+      }
     }
 
-    highestBalance = Math.max(highestBalance, balance);
-    lowestBalance = Math.min(lowestBalance, balance);
+    // Taxes are settled in December, and at the end of the run
+    let federalTax = null;
+    if (taxState && (m === 12 || i === endIdxExclusive - 1 || !success)) {
+      const record = settleTaxYear(taxState, y, priceIndex);
+      taxYears.push(cpiRates ? deflateTaxYear(record, cpi) : record);
+      federalTax = record.federalTax;
+    }
+
+    const reported = balance / cpi;
+
+    highestBalance = Math.max(highestBalance, reported);
+    lowestBalance = Math.min(lowestBalance, reported);
 
-    peak = Math.max(peak, balance);
-    const dd = peak > 0 ? (peak - balance) / peak : 0;
+    peak = Math.max(peak, reported);
+    const dd = peak > 0 ? (peak - reported) / peak : 0;
     maxDrawdown = Math.max(maxDrawdown, dd);
 
-    series.push({
-      month: monthStr,
-      value: balance,
-      withdrawal: w,
-      guardrailsRatePct: guardrailsRate !== null ? guardrailsRate * 100 : null,
-      inflationFactor: withdrawMode === "percentOfCurrent" ? inflationFactor : null
-    });
+    if (series) {
+      series.push({
+        month: monthStr,
+        value: reported,
+        balances: deflateBalances(portfolio.balances, cpi),
+        withdrawal: (covered + w) / cpi,
+        income: income / cpi,
+        // withdrawal = incomeApplied + portfolioDraw (an annual withdrawal applies the year's income)
+        incomeApplied: covered / cpi,
+        portfolioDraw: w / cpi,
+        guardrailsRatePct: guardrailsRate !== null ? guardrailsRate * 100 : null,
+        inflationFactor: PLANNED_SPENDING_MODES.includes(withdrawMode) ? inflationFactor : null,
+        gkRules: gkRules || null,
+        vpwRatePct: vpwRate ? vpwRate * 100 : null,
+        rmdDivisor: rmdDivisor || null,
+        dynamicRule: dynamicRule || null,
+        endowmentTarget: endowmentTarget ? endowmentTarget / cpi : null,
+        ratchetEvent: ratchetState ? ratcheted : null,
+        ratchetFactor: ratchetState ? ratchetState.factor : null,
+        spendingCutPct: drawdownState ? drawdownState.cut * 100 : null,
+        accountBalances: taxState ? deflateBalances(taxState.balances, cpi) : null,
+        federalTax: federalTax !== null ? federalTax / cpi : null,
+        cashFlow: flows.net / cpi,
+        events: flows.events
+      });
+    }
 
     // Apply previous month's inflation to next month's withdrawal target.
     // (We update at end of loop so next month uses this month's inflation.)
-    if (withdrawMode === "percentOfCurrent") {
-      inflationFactor *= (1 + monthlyInfl);
+    const monthInflation = inflationRates ? inflationRates[i] : monthlyInfl;
+    if (PLANNED_SPENDING_MODES.includes(withdrawMode)) {
+      inflationFactor *= (1 + monthInflation);
     }
+    priceIndex *= (1 + monthInflation);
+    if (gkState) gkState.inflation *= 1 + monthInflation;
+    if (dynamicState) dynamicState.inflation *= 1 + monthInflation;
+    if (endowmentState) endowmentState.inflation *= 1 + monthInflation;
+    if (streams) advanceCola(streams, colaRates ? colaRates[i] : 0);
 
     if (!success) break;
   }
 
   return {
     success,
+    depletedMonth,
     totalWithdrawn,
-    endingValue: balance,
+    endingValue: balance / cpi,
+    endingBalances: deflateBalances(portfolio.balances, cpi),
+    taxes: taxState ? summarizeTaxes(taxState, taxYears, cpi) : null,
+    fees: feeTracker ? summarizeFees(feeTracker) : null,
+    totalIncome,
+    incomeStreams: streams ? summarizeIncomeStreams(streams) : null,
+    netCashFlows,
+    cashFlowEvents,
+    monthsReducedSpending: drawdownState ? drawdownState.reducedMonths : null,
     maxDrawdown,
     highestBalance,
     lowestBalance,
@@ -312,9 +1126,10 @@ function runRetirementMonthly({
   };
 }
 
-function runRetirementSuccessByStartYear({
+function runRetirementMonthly({
   monthly,
   initialBalance,
+  startMonth,
   durationYears,
   withdrawMode,
   withdrawValue,
@@ -322,132 +1137,328 @@ function runRetirementSuccessByStartYear({
   guardrailsMinPct,
   guardrailsMaxPct,
   guardrailsMinDollar,
+  guardrailsUpperTriggerPct,
+  guardrailsLowerTriggerPct,
+  guardrailsStepPct,
+  guardrailsEvaluation,
 
-  // For "percentOfCurrent" mode (inflation-adjusted spending): annual inflation assumption (%)
-  percentOfCurrentAnnualInflationPct
-}) {
-  const returns = buildReturns(monthly);
+  // Optional Guyton-Klinger rule settings (see createGuytonKlinger)
+  guytonKlinger,
 
-  const results = [];
-  const endingBalances = [];
+  // VPW: expected real return (%, default from the allocation) and horizon (default durationYears)
+  vpwRealReturnPct,
+  vpwHorizonYears,
 
-  let highestBalanceHit = -Infinity;
-  let lowestBalanceHit = Infinity;
+  // Vanguard dynamic spending: max real raise / cut per year (%, defaults 5 / 2.5)
+  dynamicCeilingPct,
+  dynamicFloorPct,
 
-  const baseRateDecimal = withdrawValue / 100;
-  const annualInflPct = Number.isFinite(percentOfCurrentAnnualInflationPct) ? percentOfCurrentAnnualInflationPct : 3;
-  const monthlyInfl = monthlyInflationRateFromAnnualPct(annualInflPct);
+  // RMD table mode: age at the start of the run
+  retireeAge,
 
-  for (let i = 0; i < monthly.length; i++) {
-    const monthStr = monthly[i].month;
-    const m = Number(String(monthStr).slice(5, 7));
-    if (m !== 1) continue;
+  // Endowment smoothing: weight on last year's spending (%, default 70)
+  endowmentWeightPct,
 
-    const startIdx = i;
-    const endIdxExclusive = startIdx + durationYears * 12;
-    if (endIdxExclusive > monthly.length - 1) break;
+  // Kitces ratchet: trigger (% of initial balance), raise (%) and minimum years between ratchets
+  ratchetThresholdPct,
+  ratchetPct,
+  ratchetEveryYears,
 
-    let balance = initialBalance;
-    let success = true;
+  // Drawdown-triggered cuts: [{ drawdownPct, cutPct }] tiers (default 20 -> 10, 35 -> 25)
+  drawdownTiers,
 
-    let highest = balance;
-    let lowest = balance;
+  // Inflation-indexed modes (percentOfCurrent, guytonKlinger, vanguardDynamic, endowment, ratchet,
+  // drawdownCuts): annual inflation assumption (%), or "historical" to index by the loaded CPI data
+  percentOfCurrentAnnualInflationPct,
+  inflationSource = "fixed",
+  inflation,
 
-    let currentYear = Number(String(monthStr).slice(0, 4));
-    let yearStartBalance = balance;
+  returnBasis = "price",
 
-    const guardrailsState = { currentRate: null };
-    const guardrailsConfig = {
-      minRate: 0,
-      maxRate: 1,
-      step: 0.0025,
-      minDollarFloor: 0
-    };
+  // Multi-asset: allocation in percent per asset, rebalancing policy, cash yield (% / yr),
+  // and the loaded bond series (if any)
+  allocation,
+  rebalance,
+  cashAnnualPct,
+  bondSeries,
+
+  // "nominal" | "real" (start-date dollars, needs the CPI data)
+  units = "nominal",
+
+  // Optional account buckets and tax settings (see lib/taxes.js); null = untaxed single pot
+  tax = null,
+
+  // Optional { expenseRatioPct, aumFeePct, flatAnnualFee } (see lib/fees.js)
+  fees = null,
 
-    if (withdrawMode === "guardrails") {
-      const startRate = (withdrawValue / 100);
-      const minRate = (guardrailsMinPct / 100);
-      const maxRate = (guardrailsMaxPct / 100);
+  // Optional Social Security / pension / other income (see lib/incomeStreams.js)
+  incomeStreams = null,
 
-      guardrailsState.currentRate = clamp(startRate, minRate, maxRate);
-      guardrailsConfig.minRate = minRate;
-      guardrailsConfig.maxRate = maxRate;
-      guardrailsConfig.minDollarFloor = Number.isFinite(guardrailsMinDollar) ? Math.max(0, guardrailsMinDollar) : 0;
+  // Optional one-off / recurring amounts (see lib/cashFlows.js)
+  cashFlows = null
+}) {
+  const startIdx = findMonthIndex(monthly, startMonth);
+  if (startIdx < 0) throw new Error(`startMonth not found: ${startMonth}`);
+
+  const endIdxExclusive = startIdx + durationYears * 12;
+  if (endIdxExclusive > monthly.length - 1) {
+    throw new Error(`Not enough data for ${durationYears} years from ${startMonth}`);
+  }
+
+  const assetReturns = buildAssetReturns(monthly, { returnBasis, cashAnnualPct, bondSeries });
+  const weights = normalizeAllocation(allocation, Object.keys(assetReturns));
+  const infl = resolveInflation({
+    monthly,
+    inflationSource,
+    inflation,
+    annualInflationPct: percentOfCurrentAnnualInflationPct
+  });
+
+  const { cpiRates, range: cpiRange } = resolveUnits({ monthly, units, inflation });
+  const { colaRates, range: colaRange } = resolveColaRates({ monthly, incomeStreams, inflation });
+
+  const range = coveredRange(monthly, weights, { returnBasis, bondSeries });
+  assertRangeCovered(monthly, range, startIdx, endIdxExclusive - 1);
+  for (const r of [infl.range, cpiRange, colaRange]) {
+    if (r && (startIdx < r.first || endIdxExclusive - 1 > r.last)) {
+      throw new Error(`Inflation data covers ${monthly[r.first].month} → ${monthly[r.last].month}`);
     }
+  }
 
-    let inflationFactor = 1;
-    const inflationBasePeriodWithdraw =
-      withdrawMode === "percentOfCurrent"
-        ? (withdrawFrequency === "monthly"
-            ? (initialBalance * baseRateDecimal) / 12
-            : (initialBalance * baseRateDecimal))
-        : 0;
-
-    for (let t = startIdx; t < endIdxExclusive; t++) {
-      const ms = monthly[t].month;
-      const y = Number(String(ms).slice(0, 4));
-      const mon = Number(String(ms).slice(5, 7));
-
-      if (y !== currentYear) {
-        currentYear = y;
-        yearStartBalance = balance;
-      }
+  const run = simulateRetirementPath({
+    months: monthly.map((x) => x.month),
+    assetReturns,
+    startIdx,
+    endIdxExclusive,
+    initialBalance,
+    withdrawMode,
+    withdrawValue,
+    withdrawFrequency,
+    guardrailsMinPct,
+    guardrailsMaxPct,
+    guardrailsMinDollar,
+    guardrailsUpperTriggerPct,
+    guardrailsLowerTriggerPct,
+    guardrailsStepPct,
+    guardrailsEvaluation,
+    guytonKlinger,
+    vpwRealReturnPct,
+    vpwHorizonYears,
+    dynamicCeilingPct,
+    dynamicFloorPct,
+    retireeAge,
+    endowmentWeightPct,
+    ratchetThresholdPct,
+    ratchetPct,
+    ratchetEveryYears,
+    drawdownTiers,
+    monthlyInfl: infl.monthlyInfl,
+    inflationRates: infl.inflationRates,
+    cpiRates,
+    tax,
+    fees,
+    incomeStreams,
+    colaRates,
+    cashFlows,
+    weights,
+    rebalance,
+    recordSeries: true
+  });
 
-      balance *= (1 + returns[t]);
-
-      const ytdReturnAfterMarket =
-        yearStartBalance > 0 ? (balance / yearStartBalance - 1) : 0;
-
-      const isWithdrawalMonth =
-        withdrawFrequency === "monthly"
-          ? true
-          : (mon === 1);
-
-      const { withdrawal } = computeWithdrawal({
-        mode: withdrawMode,
-        ratePerYear: baseRateDecimal,
-        initialBalance,
-        balance,
-        frequency: withdrawFrequency,
-        guardrailsState,
-        guardrailsConfig,
-        ytdReturnAfterMarket,
-        isWithdrawalMonth,
-        inflationBasePeriodWithdraw,
-        inflationFactor
-      });
+  return {
+    units,
+    returnBasis,
+    inflationSource,
+    allocation: weightsToPct(weights),
+    rebalance: rebalance?.policy || "none",
+    success: run.success,
+    totalWithdrawn: run.totalWithdrawn,
+    endingValue: run.endingValue,
+    endingBalances: run.endingBalances,
+    maxDrawdown: run.maxDrawdown,
+    highestBalance: run.highestBalance,
+    lowestBalance: run.lowestBalance,
+    totalIncome: run.totalIncome,
+    incomeStreams: run.incomeStreams,
+    netCashFlows: run.netCashFlows,
+    cashFlowEvents: run.cashFlowEvents,
+    monthsReducedSpending: run.monthsReducedSpending,
+    taxes: run.taxes,
+    fees: run.fees,
+    series: run.series
+  };
+}
 
-      const w = Math.min(balance, Math.max(0, withdrawal));
-      balance -= w;
+// Calendar months (1-12) each start cadence begins runs in
+const START_CADENCE_MONTHS = {
+  annual: [1],
+  quarterly: [1, 4, 7, 10],
+  monthly: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]
+};
 
-      if (balance <= 0) {
-        balance = 0;
-        success = false;
-        break;
-      }
+function runRetirementSuccessByStartYear({
+  monthly,
+  initialBalance,
+  durationYears,
+  withdrawMode,
+  withdrawValue,
+  withdrawFrequency,
+  guardrailsMinPct,
+  guardrailsMaxPct,
+  guardrailsMinDollar,
+  guardrailsUpperTriggerPct,
+  guardrailsLowerTriggerPct,
+  guardrailsStepPct,
+  guardrailsEvaluation,
 
-      highest = Math.max(highest, balance);
-      lowest = Math.min(lowest, balance);
+  // Optional Guyton-Klinger rule settings (see createGuytonKlinger)
+  guytonKlinger,
 
-      if (withdrawMode === "percentOfCurrent") {
-        inflationFactor *= (1 + monthlyInfl);
-      }
-    }
+  // VPW: expected real return (%, default from the allocation) and horizon (default durationYears)
+  vpwRealReturnPct,
+  vpwHorizonYears,
+
+  // Vanguard dynamic spending: max real raise / cut per year (%, defaults 5 / 2.5)
+  dynamicCeilingPct,
+  dynamicFloorPct,
+
+  // RMD table mode: age at the start of the run
+  retireeAge,
+
+  // Endowment smoothing: weight on last year's spending (%, default 70)
+  endowmentWeightPct,
+
+  // Kitces ratchet: trigger (% of initial balance), raise (%) and minimum years between ratchets
+  ratchetThresholdPct,
+  ratchetPct,
+  ratchetEveryYears,
+
+  // Drawdown-triggered cuts: [{ drawdownPct, cutPct }] tiers (default 20 -> 10, 35 -> 25)
+  drawdownTiers,
+
+  // Inflation-indexed modes (percentOfCurrent, guytonKlinger, vanguardDynamic, endowment, ratchet,
+  // drawdownCuts): annual inflation assumption (%), or "historical" to index by the loaded CPI data
+  percentOfCurrentAnnualInflationPct,
+  inflationSource = "fixed",
+  inflation,
+
+  returnBasis = "price",
+
+  allocation,
+  rebalance,
+  cashAnnualPct,
+  bondSeries,
+
+  // "nominal" | "real": each start year is reported in its own start-date dollars
+  units = "nominal",
+
+  tax = null,
+  fees = null,
+  incomeStreams = null,
+
+  // Offset flows happen in every run; dated flows only in runs that include their month
+  cashFlows = null,
+
+  // Which months start a run: "annual" (January), "quarterly" (Jan/Apr/Jul/Oct) or "monthly"
+  startCadence = "annual"
+}) {
+  const startMonths = START_CADENCE_MONTHS[startCadence];
+  if (!startMonths) throw new Error(`startCadence must be one of ${Object.keys(START_CADENCE_MONTHS).join(", ")}`);
+
+  const assetReturns = buildAssetReturns(monthly, { returnBasis, cashAnnualPct, bondSeries });
+  const weights = normalizeAllocation(allocation, Object.keys(assetReturns));
+  const infl = resolveInflation({
+    monthly,
+    inflationSource,
+    inflation,
+    annualInflationPct: percentOfCurrentAnnualInflationPct
+  });
+  const { cpiRates, range: cpiRange } = resolveUnits({ monthly, units, inflation });
+  const { colaRates, range: colaRange } = resolveColaRates({ monthly, incomeStreams, inflation });
+  const range = [infl.range, cpiRange, colaRange].reduce(
+    narrowRange,
+    coveredRange(monthly, weights, { returnBasis, bondSeries })
+  );
+  const months = monthly.map((x) => x.month);
+
+  const results = [];
+  const endingBalances = [];
+
+  let highestBalanceHit = -Infinity;
+  let lowestBalanceHit = Infinity;
+
+  // Index 0 has no prior close, so it carries no real return and never starts a run.
+  for (let i = Math.max(range.first, 1); i < monthly.length; i++) {
+    const monthStr = monthly[i].month;
+    const m = Number(String(monthStr).slice(5, 7));
+    if (!startMonths.includes(m)) continue;
+
+    const startIdx = i;
+    const endIdxExclusive = startIdx + durationYears * 12;
+    if (endIdxExclusive > monthly.length - 1 || endIdxExclusive - 1 > range.last) break;
+
+    const run = simulateRetirementPath({
+      months,
+      assetReturns,
+      startIdx,
+      endIdxExclusive,
+      initialBalance,
+      withdrawMode,
+      withdrawValue,
+      withdrawFrequency,
+      guardrailsMinPct,
+      guardrailsMaxPct,
+      guardrailsMinDollar,
+      guardrailsUpperTriggerPct,
+      guardrailsLowerTriggerPct,
+      guardrailsStepPct,
+      guardrailsEvaluation,
+      guytonKlinger,
+      vpwRealReturnPct,
+      vpwHorizonYears,
+      dynamicCeilingPct,
+      dynamicFloorPct,
+      retireeAge,
+      endowmentWeightPct,
+      ratchetThresholdPct,
+      ratchetPct,
+      ratchetEveryYears,
+      drawdownTiers,
+      monthlyInfl: infl.monthlyInfl,
+      inflationRates: infl.inflationRates,
+      cpiRates,
+      tax,
+      fees,
+      incomeStreams,
+      colaRates,
+      cashFlows,
+      weights,
+      rebalance,
+      recordSeries: false
+    });
 
-    highestBalanceHit = Math.max(highestBalanceHit, highest);
-    lowestBalanceHit = Math.min(lowestBalanceHit, lowest);
+    highestBalanceHit = Math.max(highestBalanceHit, run.highestBalance);
+    lowestBalanceHit = Math.min(lowestBalanceHit, run.lowestBalance);
 
     const startYear = Number(String(monthStr).slice(0, 4));
     results.push({
       startYear,
-      passed: success,
+      startMonth: monthStr,
+      passed: run.success,
       startingBalance: initialBalance,
-      highestBalance: highest,
-      lowestBalance: lowest,
-      endingBalance: balance
+      highestBalance: run.highestBalance,
+      lowestBalance: run.lowestBalance,
+      endingBalance: run.endingValue,
+      endingBalances: run.endingBalances,
+      totalFederalTax: run.taxes ? run.taxes.totalFederalTax : null,
+      totalAfterTaxSpending: run.taxes ? run.taxes.totalAfterTaxSpending : null,
+      totalFeesPaid: run.fees ? run.fees.totalFeesPaid : null,
+      totalIncome: run.totalIncome,
+      netCashFlows: run.netCashFlows,
+      monthsReducedSpending: run.monthsReducedSpending
     });
 
-    endingBalances.push(balance);
+    endingBalances.push(run.endingValue);
   }
 
   const total = results.length;
@@ -458,8 +1469,18 @@ function runRetirementSuccessByStartYear({
   const medEnd = total ? median(endingBalances) : null;
 
   return {
+    units,
+    returnBasis,
+    inflationSource,
+    allocation: weightsToPct(weights),
+    rebalance: rebalance?.policy || "none",
+    startCadence,
     summary: {
-      totalStartYearsTested: total,
+      startCadence,
+      // Every start tested: one per year at the annual cadence, 4 or 12 at the finer ones
+      totalStartsTested: total,
+      // Distinct calendar years with at least one start
+      totalStartYearsTested: new Set(results.map((r) => r.startYear)).size,
       successes,
       successRate,
       averageEndingBalance: avgEnd,
@@ -472,7 +1493,18 @@ function runRetirementSuccessByStartYear({
 }
 
 module.exports = {
+  START_CADENCE_MONTHS,
   runDcaMonthly,
   runRetirementMonthly,
-  runRetirementSuccessByStartYear
+  runRetirementSuccessByStartYear,
+
+  // Building blocks for the Monte Carlo and perfect-withdrawal analyses
+  median,
+  percentile,
+  buildAssetReturns,
+  coveredRange,
+  narrowRange,
+  weightsToPct,
+  resolveInflation,
+  simulateRetirementPath
 };
@@ -0,0 +1,222 @@
+// Inverse questions on the historical start-year analysis: instead of "how often does
+// this plan survive?", "what is the most this plan can spend and still survive X% of
+// the time?". Success falls as spending rises, so each solver brackets the answer
+// between a passing and a failing value and bisects.
+const { runRetirementSuccessByStartYear } = require("./simulations");
+
+// How many start years to report as binding
+const BINDING_COUNT = 5;
+
+function meetsTarget(summary, targetSuccessRatePct) {
+  // Small slack so 19/20 counts as meeting a 95% target despite float rounding
+  return summary.successRate * 100 >= targetSuccessRatePct - 1e-9;
+}
+
+// Guardrails can only start inside their own band
+function searchRateBand(opts, minRatePct, maxRatePct) {
+  if (opts.withdrawMode !== "guardrails") return { minRatePct, maxRatePct };
+
+  const lo = Math.max(minRatePct, opts.guardrailsMinPct || 0);
+  const hi = Math.min(maxRatePct, opts.guardrailsMaxPct);
+  if (lo > hi) throw new Error("Search range does not overlap the guardrails min/max band");
+  return { minRatePct: lo, maxRatePct: hi };
+}
+
+// Narrows the gap between a run that meets the target (ok) and one that does not (bad)
+// until their values are within tolerance. runAt(value) -> { value, out, passed }.
+function bisect({ ok, bad, tolerance, maxIterations, runAt }) {
+  for (let i = 0; i < maxIterations && Math.abs(bad.value - ok.value) > tolerance; i++) {
+    const run = runAt((ok.value + bad.value) / 2);
+    if (run.passed) ok = run;
+    else bad = run;
+  }
+  return { ok, bad };
+}
+
+// The start years that decide the answer: those still passing at the solved value but
+// failing at the next value tried past it, then the failures the target already allows,
+// then the weakest survivors by ending balance.
+function bindingStartYears(solvedRun, failingRun) {
+  const rank = (r) => (r.failsAtNextRate ? 0 : r.passed ? 2 : 1);
+  const failsAbove = new Set(
+    failingRun ? failingRun.results.filter((r) => !r.passed).map((r) => r.startMonth) : []
+  );
+
+  return solvedRun.results
+    .map((r) => ({
+      startYear: r.startYear,
+      startMonth: r.startMonth,
+      passed: r.passed,
+      failsAtNextRate: r.passed && failsAbove.has(r.startMonth),
+      lowestBalance: r.lowestBalance,
+      endingBalance: r.endingBalance
+    }))
+    .sort((a, b) => rank(a) - rank(b) || a.endingBalance - b.endingBalance)
+    .slice(0, Math.max(BINDING_COUNT, failsAbove.size));
+}
+
+function unsolved(reason, trace) {
+  return { solved: false, reason, iterations: trace.length, trace };
+}
+
+// Highest withdrawValue (percent) whose start-year success rate meets targetSuccessRatePct.
+// opts: everything runRetirementSuccessByStartYear takes except withdrawValue.
+// The answer is within tolerancePct of the true boundary (rounded down, so it always passes).
+function solveSafeWithdrawalRate({
+  targetSuccessRatePct,
+  minRatePct,
+  maxRatePct,
+  tolerancePct,
+  maxIterations = 40,
+  ...opts
+}) {
+  const band = searchRateBand(opts, minRatePct, maxRatePct);
+
+  const trace = [];
+  const runAt = (ratePct) => {
+    const out = runRetirementSuccessByStartYear({ ...opts, withdrawValue: ratePct });
+    const passed = meetsTarget(out.summary, targetSuccessRatePct);
+    trace.push({
+      withdrawRatePct: ratePct,
+      annualAmount: (opts.initialBalance * ratePct) / 100,
+      successRate: out.summary.successRate,
+      successes: out.summary.successes,
+      meetsTarget: passed
+    });
+    return { value: ratePct, out, passed };
+  };
+
+  const low = runAt(band.minRatePct);
+  if (!low.out.summary.totalStartsTested) return unsolved("No start years cover the duration", trace);
+  if (!low.passed) return unsolved("Target not met even at the lowest rate searched", trace);
+
+  const high = runAt(band.maxRatePct);
+  // capped: the top of the search range still met the target (the real answer is higher)
+  const capped = high.passed;
+  const { ok, bad } = capped
+    ? { ok: high, bad: null }
+    : bisect({ ok: low, bad: high, tolerance: tolerancePct, maxIterations, runAt });
+
+  return {
+    solved: true,
+    capped,
+    solvedRatePct: ok.value,
+    solvedAnnualAmount: (opts.initialBalance * ok.value) / 100,
+    firstFailingRatePct: bad ? bad.value : null,
+    startCadence: ok.out.startCadence,
+    units: ok.out.units,
+    returnBasis: ok.out.returnBasis,
+    allocation: ok.out.allocation,
+    summary: ok.out.summary,
+    bindingStartYears: bindingStartYears(ok.out, bad && bad.out),
+    iterations: trace.length,
+    trace
+  };
+}
+
+// Smallest initialBalance whose start-year success rate meets targetSuccessRatePct while
+// spending annualSpending (the starting rate is annualSpending / balance). Every run goes
+// through runRetirementSuccessByStartYear, so dollar amounts that do not scale with the
+// balance (income, cash flows, flat fees, tax brackets) are honoured.
+// The balances searched map to starting rates from maxRatePct down to minRatePct.
+function solveBalanceFor({ annualSpending, targetSuccessRatePct, band, toleranceAmount, maxIterations, opts }) {
+  const trace = [];
+  const runAt = (balance) => {
+    const ratePct = (annualSpending / balance) * 100;
+    const out = runRetirementSuccessByStartYear({ ...opts, initialBalance: balance, withdrawValue: ratePct });
+    const passed = meetsTarget(out.summary, targetSuccessRatePct);
+    trace.push({
+      initialBalance: balance,
+      withdrawRatePct: ratePct,
+      successRate: out.summary.successRate,
+      successes: out.summary.successes,
+      meetsTarget: passed
+    });
+    return { value: balance, out, passed };
+  };
+
+  const high = runAt((annualSpending / band.minRatePct) * 100);
+  if (!high.out.summary.totalStartsTested) return unsolved("No start years cover the duration", trace);
+  if (!high.passed) return unsolved("Target not met even at the largest balance searched", trace);
+
+  const low = runAt((annualSpending / band.maxRatePct) * 100);
+  // capped: the smallest balance searched already met the target (the real answer is lower)
+  const capped = low.passed;
+  const { ok, bad } = capped
+    ? { ok: low, bad: null }
+    : bisect({ ok: high, bad: low, tolerance: toleranceAmount, maxIterations, runAt });
+
+  return {
+    solved: true,
+    capped,
+    requiredBalance: ok.value,
+    withdrawRatePct: (annualSpending / ok.value) * 100,
+    firstFailingBalance: bad ? bad.value : null,
+    solvedRun: ok.out,
+    failingRun: bad && bad.out,
+    iterations: trace.length,
+    trace
+  };
+}
+
+// opts: everything runRetirementSuccessByStartYear takes except initialBalance and withdrawValue.
+// sensitivityDurations: durations (years) to re-solve for, the requested one included.
+function solveRequiredBalance({
+  annualSpending,
+  targetSuccessRatePct,
+  minRatePct,
+  maxRatePct,
+  toleranceAmount,
+  sensitivityDurations = [],
+  maxIterations = 40,
+  ...opts
+}) {
+  const band = searchRateBand(opts, minRatePct, maxRatePct);
+  const solveFor = (durationYears) =>
+    solveBalanceFor({
+      annualSpending,
+      targetSuccessRatePct,
+      band,
+      toleranceAmount,
+      maxIterations,
+      opts: { ...opts, durationYears }
+    });
+
+  const main = solveFor(opts.durationYears);
+
+  const durationSensitivity = sensitivityDurations.map((durationYears) => {
+    const s = durationYears === opts.durationYears ? main : solveFor(durationYears);
+    return {
+      durationYears,
+      solved: s.solved,
+      capped: s.solved ? s.capped : null,
+      requiredBalance: s.solved ? s.requiredBalance : null,
+      withdrawRatePct: s.solved ? s.withdrawRatePct : null,
+      successRate: s.solved ? s.solvedRun.summary.successRate : null,
+      startsTested: s.solved ? s.solvedRun.summary.totalStartsTested : null,
+      startYearsTested: s.solved ? s.solvedRun.summary.totalStartYearsTested : null,
+      reason: s.solved ? null : s.reason
+    };
+  });
+
+  if (!main.solved) return { ...main, durationSensitivity };
+
+  return {
+    solved: true,
+    capped: main.capped,
+    requiredBalance: main.requiredBalance,
+    withdrawRatePct: main.withdrawRatePct,
+    firstFailingBalance: main.firstFailingBalance,
+    startCadence: main.solvedRun.startCadence,
+    units: main.solvedRun.units,
+    returnBasis: main.solvedRun.returnBasis,
+    allocation: main.solvedRun.allocation,
+    summary: main.solvedRun.summary,
+    bindingStartYears: bindingStartYears(main.solvedRun, main.failingRun),
+    durationSensitivity,
+    iterations: main.iterations,
+    trace: main.trace
+  };
+}
+
+module.exports = { solveSafeWithdrawalRate, solveRequiredBalance };
@@ -0,0 +1,58 @@
+// Withdrawal rate x duration table over the historical start-year analysis: one
+// runRetirementSuccessByStartYear per cell, the table otherwise built by re-running
+// the success endpoint by hand.
+const { runRetirementSuccessByStartYear } = require("./simulations");
+
+// opts: everything runRetirementSuccessByStartYear takes except withdrawValue and durationYears.
+// cells[r][d] is the outcome of ratesPct[r] over durations[d]; a duration longer than the
+// data allows has no start years and null figures.
+function runSuccessGrid({ ratesPct, durations, ...opts }) {
+  let meta = null;
+
+  const cells = ratesPct.map((withdrawValue) =>
+    durations.map((durationYears) => {
+      const out = runRetirementSuccessByStartYear({ ...opts, withdrawValue, durationYears });
+      meta = meta || out;
+
+      const s = out.summary;
+      if (!s.totalStartsTested) {
+        return {
+          startsTested: 0,
+          startYearsTested: 0,
+          successes: 0,
+          successRate: null,
+          medianEndingBalance: null,
+          worstEndingBalance: null,
+          worstStartYear: null,
+          worstStartMonth: null
+        };
+      }
+
+      const worst = out.results.reduce((a, b) => (b.endingBalance < a.endingBalance ? b : a));
+      return {
+        startsTested: s.totalStartsTested,
+        startYearsTested: s.totalStartYearsTested,
+        successes: s.successes,
+        successRate: s.successRate,
+        medianEndingBalance: s.medianEndingBalance,
+        worstEndingBalance: worst.endingBalance,
+        worstStartYear: worst.startYear,
+        worstStartMonth: worst.startMonth
+      };
+    })
+  );
+
+  return {
+    units: meta.units,
+    returnBasis: meta.returnBasis,
+    inflationSource: meta.inflationSource,
+    allocation: meta.allocation,
+    rebalance: meta.rebalance,
+    startCadence: meta.startCadence,
+    ratesPct,
+    durations,
+    cells
+  };
+}
+
+module.exports = { runSuccessGrid };
@@ -0,0 +1,219 @@
+// Tax-aware account buckets for the retirement simulations.
+// The initial balance is split across taxable, tax-deferred and Roth accounts.
+// Every account holds the same asset mix, so the buckets are a ledger on top of the
+// portfolio: market moves scale them together, withdrawals come out in a chosen order.
+// Federal income tax is settled once per calendar year from that year's withdrawals:
+// tax-deferred money is ordinary income, taxable money realizes gains above its cost
+// basis (long-term rates), Roth money is tax-free. Taxes are paid out of the gross
+// withdrawal, so after-tax spending = gross withdrawals - tax.
+
+const ACCOUNT_TYPES = ["taxable", "taxDeferred", "roth"];
+const WITHDRAWAL_ORDERS = ["taxableFirst", "proportional", "bracketFilling"];
+const FILING_STATUSES = ["single", "married"];
+
+// 2024 federal tables, in start-year dollars. `upTo` is the top of each bracket
+// (taxable income); the last bracket has no top.
+const FEDERAL_TAX_TABLES = {
+  single: {
+    standardDeduction: 14600,
+    ordinary: [
+      { ratePct: 10, upTo: 11600 },
+      { ratePct: 12, upTo: 47150 },
+      { ratePct: 22, upTo: 100525 },
+      { ratePct: 24, upTo: 191950 },
+      { ratePct: 32, upTo: 243725 },
+      { ratePct: 35, upTo: 609350 },
+      { ratePct: 37, upTo: Infinity }
+    ],
+    capitalGains: [
+      { ratePct: 0, upTo: 47025 },
+      { ratePct: 15, upTo: 518900 },
+      { ratePct: 20, upTo: Infinity }
+    ]
+  },
+  married: {
+    standardDeduction: 29200,
+    ordinary: [
+      { ratePct: 10, upTo: 23200 },
+      { ratePct: 12, upTo: 94300 },
+      { ratePct: 22, upTo: 201050 },
+      { ratePct: 24, upTo: 383900 },
+      { ratePct: 32, upTo: 487450 },
+      { ratePct: 35, upTo: 731200 },
+      { ratePct: 37, upTo: Infinity }
+    ],
+    capitalGains: [
+      { ratePct: 0, upTo: 94050 },
+      { ratePct: 15, upTo: 583750 },
+      { ratePct: 20, upTo: Infinity }
+    ]
+  }
+};
+
+// accounts: { taxable: 50, taxDeferred: 40, roth: 10 } in percent -> fractions
+function normalizeAccounts(accounts) {
+  const weights = {};
+  let sum = 0;
+  for (const [type, value] of Object.entries(accounts)) {
+    if (!ACCOUNT_TYPES.includes(type)) {
+      throw new Error(`Unknown account type: ${type} (available: ${ACCOUNT_TYPES.join(", ")})`);
+    }
+    const pct = Number(value);
+    if (!Number.isFinite(pct) || pct < 0) throw new Error(`Account share for ${type} must be >= 0`);
+    weights[type] = pct;
+    sum += pct;
+  }
+
+  if (Math.abs(sum - 100) > 0.01) {
+    throw new Error(`Account shares must add up to 100 (got ${sum})`);
+  }
+
+  const out = {};
+  for (const type of ACCOUNT_TYPES) out[type] = (weights[type] || 0) / sum;
+  return out;
+}
+
+// Tax on `income` through a bracket table scaled by `index` (bracket inflation),
+// with the first `stackedOn` dollars already occupying the lower brackets.
+function taxThroughBrackets(brackets, income, stackedOn, index) {
+  let tax = 0;
+  let lo = 0;
+  const start = stackedOn;
+  const end = stackedOn + income;
+
+  for (const b of brackets) {
+    const hi = b.upTo * index;
+    const overlap = Math.min(end, hi) - Math.max(start, lo);
+    if (overlap > 0) tax += (overlap * b.ratePct) / 100;
+    if (hi >= end) break;
+    lo = hi;
+  }
+  return tax;
+}
+
+// Federal tax for one year. Gains stack on top of ordinary income; any standard
+// deduction left over after ordinary income shelters gains.
+function federalTax({ ordinaryIncome, capitalGains }, filingStatus, index = 1) {
+  const table = FEDERAL_TAX_TABLES[filingStatus];
+  const deduction = table.standardDeduction * index;
+
+  const taxableOrdinary = Math.max(0, ordinaryIncome - deduction);
+  const taxableGains = Math.max(0, capitalGains - Math.max(0, deduction - ordinaryIncome));
+
+  return (
+    taxThroughBrackets(table.ordinary, taxableOrdinary, 0, index) +
+    taxThroughBrackets(table.capitalGains, taxableGains, taxableOrdinary, index)
+  );
+}
+
+function createTaxState({ accounts, initialBalance, taxableBasisPct = 100, withdrawalOrder, filingStatus, bracketFillPct = 12 }) {
+  const shares = normalizeAccounts(accounts);
+
+  const balances = {};
+  for (const type of ACCOUNT_TYPES) balances[type] = initialBalance * shares[type];
+
+  const table = FEDERAL_TAX_TABLES[filingStatus];
+  const fillBracket = table.ordinary.find((b) => b.ratePct === bracketFillPct);
+  if (!fillBracket) throw new Error(`bracketFillPct must be one of the ${filingStatus} bracket rates`);
+
+  return {
+    balances,
+    taxableBasis: (balances.taxable * taxableBasisPct) / 100,
+    withdrawalOrder,
+    filingStatus,
+    // Gross ordinary income the bracket-filling order draws from tax-deferred money each year
+    fillTarget: table.standardDeduction + fillBracket.upTo,
+    ytd: { grossWithdrawn: 0, ordinaryIncome: 0, capitalGains: 0, byAccount: { taxable: 0, taxDeferred: 0, roth: 0 } }
+  };
+}
+
+// Market moves apply to every account alike.
+function scaleAccounts(state, growth) {
+  for (const type of ACCOUNT_TYPES) state.balances[type] *= growth;
+}
+
+function takeFrom(state, type, amount) {
+  const take = Math.min(amount, state.balances[type]);
+  if (take <= 0) return 0;
+
+  if (type === "taxable") {
+    const basisShare = state.balances.taxable > 0 ? take / state.balances.taxable : 0;
+    const basisUsed = state.taxableBasis * basisShare;
+    state.taxableBasis -= basisUsed;
+    state.ytd.capitalGains += take - basisUsed;
+  } else if (type === "taxDeferred") {
+    state.ytd.ordinaryIncome += take;
+  }
+
+  state.balances[type] -= take;
+  state.ytd.byAccount[type] += take;
+  return take;
+}
+
+// Splits a withdrawal the portfolio already paid out across the accounts. Only what
+// the accounts actually hold counts toward the year's gross withdrawals.
+// index: bracket inflation since the start (bracket-filling headroom grows with it).
+function drawFromAccounts(state, amount, index = 1) {
+  if (amount <= 0) return;
+
+  let left = amount;
+
+  if (state.withdrawalOrder === "proportional") {
+    const total = ACCOUNT_TYPES.reduce((a, t) => a + state.balances[t], 0);
+    if (total <= 0) return;
+    const parts = ACCOUNT_TYPES.map((t) => [t, (amount * state.balances[t]) / total]);
+    for (const [type, part] of parts) left -= takeFrom(state, type, part);
+  }
+
+  if (state.withdrawalOrder === "bracketFilling") {
+    const headroom = Math.max(0, state.fillTarget * index - state.ytd.ordinaryIncome);
+    left -= takeFrom(state, "taxDeferred", Math.min(left, headroom));
+  }
+
+  // Conventional order for the rest (and for rounding leftovers)
+  for (const type of ACCOUNT_TYPES) {
+    if (left <= 1e-9) break;
+    left -= takeFrom(state, type, left);
+  }
+
+  state.ytd.grossWithdrawn += amount - left;
+}
+
+// New money (e.g. surplus income) lands in the taxable account at full basis.
+function depositToAccounts(state, amount) {
+  if (amount <= 0) return;
+  state.balances.taxable += amount;
+  state.taxableBasis += amount;
+}
+
+// Settles the calendar year: returns its tax record and resets the year-to-date totals.
+function settleTaxYear(state, year, index = 1) {
+  const ytd = state.ytd;
+  const tax = federalTax(ytd, state.filingStatus, index);
+
+  state.ytd = { grossWithdrawn: 0, ordinaryIncome: 0, capitalGains: 0, byAccount: { taxable: 0, taxDeferred: 0, roth: 0 } };
+
+  return {
+    year,
+    grossWithdrawn: ytd.grossWithdrawn,
+    withdrawnByAccount: ytd.byAccount,
+    ordinaryIncome: ytd.ordinaryIncome,
+    capitalGains: ytd.capitalGains,
+    federalTax: tax,
+    afterTaxSpending: ytd.grossWithdrawn - tax,
+    effectiveTaxRatePct: ytd.grossWithdrawn > 0 ? (tax / ytd.grossWithdrawn) * 100 : 0
+  };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  WITHDRAWAL_ORDERS,
+  FILING_STATUSES,
+  FEDERAL_TAX_TABLES,
+  federalTax,
+  createTaxState,
+  scaleAccounts,
+  drawFromAccounts,
+  depositToAccounts,
+  settleTaxYear
+};
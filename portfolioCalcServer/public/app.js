@@ -5,6 +5,7 @@ let infChart;
 let infSweepChart;
 
 let META = null;
+let lastGrid = null;
 
 function money(n) {
   if (!Number.isFinite(n)) return "—";
@@ -30,6 +31,11 @@ function pctNum(n) {
   return n.toFixed(2) + "%";
 }
 
+// Axis title for a dollar chart in the selected units ("nominal" | "real")
+function dollarsTitle(label, units) {
+  return units === "real" ? `${label} (start-date $)` : `${label} ($)`;
+}
+
 async function api(url, body) {
   const res = await fetch(url, {
     method: "POST",
@@ -344,6 +350,9 @@ function toggleRetirementModeUI() {
   const gr = document.getElementById("retGuardrailsBox");
   const more = document.getElementById("retMore");
   const pocOpts = document.getElementById("retPercentCurrentOptions");
+  const endowOpts = document.getElementById("retEndowmentOptions");
+  const pocHint = document.getElementById("retPercentCurrentHint");
+  const indexed = mode === "percentOfCurrent" || mode === "endowment";
 
   if (mode === "guardrails") {
     std.style.display = "none";
@@ -353,9 +362,11 @@ function toggleRetirementModeUI() {
     gr.style.display = "none";
   }
 
-  // More options should only exist for inflation-adjusted method
-  if (more) more.style.display = (mode === "percentOfCurrent") ? "block" : "none";
-  if (pocOpts) pocOpts.style.display = (mode === "percentOfCurrent") ? "grid" : "none";
+  // More options should only exist for the inflation-adjusted methods
+  if (more) more.style.display = indexed ? "block" : "none";
+  if (pocOpts) pocOpts.style.display = indexed ? "grid" : "none";
+  if (endowOpts) endowOpts.style.display = (mode === "endowment") ? "grid" : "none";
+  if (pocHint) pocHint.style.display = (mode === "percentOfCurrent") ? "block" : "none";
 }
 
 function toggleSuccessModeUI() {
@@ -364,6 +375,9 @@ function toggleSuccessModeUI() {
   const gr = document.getElementById("sGuardrailsBox");
   const more = document.getElementById("sMore");
   const pocOpts = document.getElementById("sPercentCurrentOptions");
+  const endowOpts = document.getElementById("sEndowmentOptions");
+  const pocHint = document.getElementById("sPercentCurrentHint");
+  const indexed = mode === "percentOfCurrent" || mode === "endowment";
 
   if (mode === "guardrails") {
     std.style.display = "none";
@@ -373,8 +387,10 @@ function toggleSuccessModeUI() {
     gr.style.display = "none";
   }
 
-  if (more) more.style.display = (mode === "percentOfCurrent") ? "block" : "none";
-  if (pocOpts) pocOpts.style.display = (mode === "percentOfCurrent") ? "grid" : "none";
+  if (more) more.style.display = indexed ? "block" : "none";
+  if (pocOpts) pocOpts.style.display = indexed ? "grid" : "none";
+  if (endowOpts) endowOpts.style.display = (mode === "endowment") ? "grid" : "none";
+  if (pocHint) pocHint.style.display = (mode === "percentOfCurrent") ? "block" : "none";
 }
 
 /* ---------------------------
@@ -385,12 +401,14 @@ async function runDca() {
   const monthlyContribution = Number(document.getElementById("dcaMonthly").value);
   const startMonth = document.getElementById("dcaStart").value;
   const endMonth = document.getElementById("dcaEnd").value;
+  const units = document.getElementById("dcaUnits").value;
 
   const out = await api("/api/sim/dca", {
     initialLumpSum,
     monthlyContribution,
     startMonth,
-    endMonth
+    endMonth,
+    units
   });
 
   const stats = document.getElementById("dcaStats");
@@ -412,7 +430,7 @@ async function runDca() {
     document.getElementById("dcaChart"),
     labels,
     [{ label: "Portfolio value", data: values, tension: 0.2, pointRadius: 0 }],
-    "Portfolio value ($)"
+    dollarsTitle("Portfolio value", units)
   );
 }
 
@@ -422,13 +440,16 @@ async function runRetirement() {
   const durationYears = Number(document.getElementById("retYears").value);
   const withdrawMode = document.getElementById("retMode").value;
   const withdrawFrequency = document.getElementById("retFreq").value;
+  const units = document.getElementById("retUnits").value;
 
   let withdrawValue;
   let guardrailsMinPct;
   let guardrailsMaxPct;
   let guardrailsMinDollar;
+  let guardrailsOpt = {};
 
   let percentOfCurrentAnnualInflationPct;
+  let endowmentWeightPct;
 
   if (withdrawMode === "guardrails") {
     withdrawValue = Number(document.getElementById("retGStartPct").value);
@@ -436,13 +457,22 @@ async function runRetirement() {
     guardrailsMaxPct = Number(document.getElementById("retGMaxPct").value);
     const rawFloor = document.getElementById("retGMinDollar").value;
     guardrailsMinDollar = rawFloor === "" ? "" : Number(rawFloor);
+    guardrailsOpt = {
+      guardrailsUpperTriggerPct: document.getElementById("retGUpperPct").value,
+      guardrailsLowerTriggerPct: document.getElementById("retGLowerPct").value,
+      guardrailsStepPct: document.getElementById("retGStepPct").value,
+      guardrailsEvaluation: document.getElementById("retGEvaluation").value
+    };
   } else {
     withdrawValue = Number(document.getElementById("retWithdrawValue").value);
 
-    if (withdrawMode === "percentOfCurrent") {
+    if (withdrawMode === "percentOfCurrent" || withdrawMode === "endowment") {
       const infRaw = document.getElementById("retPctCurrentIncrease").value;
       percentOfCurrentAnnualInflationPct = infRaw === "" ? 3 : Number(infRaw);
     }
+    if (withdrawMode === "endowment") {
+      endowmentWeightPct = document.getElementById("retEndowWeight").value;
+    }
   }
 
   const out = await api("/api/sim/retirement", {
@@ -455,7 +485,10 @@ async function runRetirement() {
     guardrailsMinPct,
     guardrailsMaxPct,
     guardrailsMinDollar,
-    percentOfCurrentAnnualInflationPct
+    ...guardrailsOpt,
+    percentOfCurrentAnnualInflationPct,
+    endowmentWeightPct,
+    units
   });
 
   const stats = document.getElementById("retStats");
@@ -478,19 +511,20 @@ async function runRetirement() {
       { label: "Portfolio value", data: values, tension: 0.2, pointRadius: 0 },
       { label: "Withdrawal (period)", data: withdrawals, tension: 0.2, pointRadius: 0 }
     ],
-    "Dollars ($)"
+    dollarsTitle("Dollars", units)
   );
 }
 
-function renderSuccessTable(results) {
+function renderSuccessTable(results, startCadence) {
   const table = document.getElementById("successTable");
   const tbody = table.querySelector("tbody");
   tbody.innerHTML = "";
+  document.getElementById("successStartHead").textContent = startCadence === "annual" ? "Start Year" : "Start Month";
 
   for (const r of results) {
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td>${r.startYear}</td>
+      <td>${startLabel(r, startCadence)}</td>
       <td>${r.passed ? "Passed" : "Failed"}</td>
       <td>${money(r.startingBalance)}</td>
       <td>${money(r.highestBalance)}</td>
@@ -507,18 +541,22 @@ function renderSuccessTable(results) {
   }
 }
 
-async function runSuccess() {
+// Plan settings from the success form, shared by the start-year analysis and the grid
+function successPlanInputs() {
   const initialBalance = Number(document.getElementById("sInitial").value);
   const durationYears = Number(document.getElementById("sYears").value);
   const withdrawMode = document.getElementById("sMode").value;
   const withdrawFrequency = document.getElementById("sFreq").value;
+  const startCadence = document.getElementById("sCadence").value;
 
   let withdrawValue;
   let guardrailsMinPct;
   let guardrailsMaxPct;
   let guardrailsMinDollar;
+  let guardrailsOpt = {};
 
   let percentOfCurrentAnnualInflationPct;
+  let endowmentWeightPct;
 
   if (withdrawMode === "guardrails") {
     withdrawValue = Number(document.getElementById("sGStartPct").value);
@@ -526,32 +564,54 @@ async function runSuccess() {
     guardrailsMaxPct = Number(document.getElementById("sGMaxPct").value);
     const rawFloor = document.getElementById("sGMinDollar").value;
     guardrailsMinDollar = rawFloor === "" ? "" : Number(rawFloor);
+    guardrailsOpt = {
+      guardrailsUpperTriggerPct: document.getElementById("sGUpperPct").value,
+      guardrailsLowerTriggerPct: document.getElementById("sGLowerPct").value,
+      guardrailsStepPct: document.getElementById("sGStepPct").value,
+      guardrailsEvaluation: document.getElementById("sGEvaluation").value
+    };
   } else {
     withdrawValue = Number(document.getElementById("sWithdrawValue").value);
 
-    if (withdrawMode === "percentOfCurrent") {
+    if (withdrawMode === "percentOfCurrent" || withdrawMode === "endowment") {
       const infRaw = document.getElementById("sPctCurrentIncrease").value;
       percentOfCurrentAnnualInflationPct = infRaw === "" ? 3 : Number(infRaw);
     }
+    if (withdrawMode === "endowment") {
+      endowmentWeightPct = document.getElementById("sEndowWeight").value;
+    }
   }
 
-  const out = await api("/api/analysis/retirement-success", {
+  return {
     initialBalance,
     durationYears,
     withdrawMode,
     withdrawValue,
     withdrawFrequency,
+    startCadence,
     guardrailsMinPct,
     guardrailsMaxPct,
     guardrailsMinDollar,
-    percentOfCurrentAnnualInflationPct
-  });
+    ...guardrailsOpt,
+    percentOfCurrentAnnualInflationPct,
+    endowmentWeightPct
+  };
+}
+
+// Finer cadences start several runs a year, so they are labelled by month
+function startLabel(r, startCadence) {
+  return startCadence === "annual" ? String(r.startYear) : r.startMonth;
+}
+
+async function runSuccess() {
+  const units = document.getElementById("sUnits").value;
+  const out = await api("/api/analysis/retirement-success", { ...successPlanInputs(), units });
 
   const s = out.summary;
 
   const stats = document.getElementById("successStats");
   setStats(stats, [
-    { label: "Start years tested", value: s.totalStartYearsTested.toLocaleString() },
+    { label: out.startCadence === "annual" ? "Start years tested" : "Start months tested", value: s.totalStartsTested.toLocaleString() },
     { label: "Successes", value: s.successes.toLocaleString() },
     { label: "Success rate", value: pct(s.successRate) },
     { label: "Average ending balance", value: money(s.averageEndingBalance) },
@@ -560,7 +620,7 @@ async function runSuccess() {
     { label: "Lowest balance hit (any run)", value: money(s.lowestBalanceHit) }
   ]);
 
-  const labels = out.results.map((r) => String(r.startYear));
+  const labels = out.results.map((r) => startLabel(r, out.startCadence));
   const passedEnding = out.results.map((r) => (r.passed ? r.endingBalance : null));
   const failedEnding = out.results.map((r) => (!r.passed ? r.endingBalance : null));
 
@@ -572,10 +632,56 @@ async function runSuccess() {
       { label: "Ending balance (passed)", data: passedEnding },
       { label: "Ending balance (failed)", data: failedEnding }
     ],
-    "Ending balance ($)"
+    dollarsTitle("Ending balance", units)
   );
 
-  renderSuccessTable(out.results);
+  renderSuccessTable(out.results, out.startCadence);
+}
+
+// Red (0%) through amber to green (100%)
+function heatColor(successRate) {
+  if (!Number.isFinite(successRate)) return "transparent";
+  return `hsla(${Math.round(successRate * 120)}, 65%, 40%, 0.85)`;
+}
+
+function renderGridTable(grid) {
+  const table = document.getElementById("gridTable");
+  const metric = document.getElementById("gridMetric").value;
+  const show = (c) => (metric === "successRate" ? pct(c.successRate) : money(c[metric]));
+
+  const head = grid.durations.map((d) => `<th>${d} yrs</th>`).join("");
+  const rows = grid.ratesPct.map((rate, r) => {
+    const cells = grid.cells[r].map((c, d) => {
+      if (c.successRate === null) return `<td class="muted-cell">—</td>`;
+      const title =
+        `${rate}% for ${grid.durations[d]} yrs: ` +
+        `${pct(c.successRate)} of ${c.startsTested} starts, ` +
+        `median ending ${money(c.medianEndingBalance)}, worst ${money(c.worstEndingBalance)} ` +
+        `(${grid.startCadence === "annual" ? c.worstStartYear : c.worstStartMonth})`;
+      return `<td style="background:${heatColor(c.successRate)}" title="${title}">${show(c)}</td>`;
+    });
+    return `<tr><th>${rate}%</th>${cells.join("")}</tr>`;
+  });
+
+  table.innerHTML = `<thead><tr><th>Rate</th>${head}</tr></thead><tbody>${rows.join("")}</tbody>`;
+}
+
+async function runGrid() {
+  const { durationYears, withdrawValue, ...plan } = successPlanInputs();
+  const units = document.getElementById("sUnits").value;
+
+  lastGrid = await api("/api/analysis/success-grid", {
+    ...plan,
+    minRatePct: document.getElementById("gridRateFrom").value,
+    maxRatePct: document.getElementById("gridRateTo").value,
+    rateStepPct: document.getElementById("gridRateStep").value,
+    minDurationYears: document.getElementById("gridYearsFrom").value,
+    maxDurationYears: document.getElementById("gridYearsTo").value,
+    durationStepYears: document.getElementById("gridYearsStep").value,
+    units
+  });
+
+  renderGridTable(lastGrid);
 }
 
 /* ---------------------------
@@ -683,6 +789,13 @@ function wireUp() {
     try { await runSuccess(); } catch (e) { alert(e.message); }
   });
 
+  document.getElementById("runGrid").addEventListener("click", async () => {
+    try { await runGrid(); } catch (e) { alert(e.message); }
+  });
+  document.getElementById("gridMetric").addEventListener("change", () => {
+    if (lastGrid) renderGridTable(lastGrid);
+  });
+
   document.getElementById("runInflation").addEventListener("click", async () => {
     try { await runInflation(); } catch (e) { alert(e.message); }
   });
@@ -716,6 +829,17 @@ function wireUp() {
     el?.addEventListener("change", validateInflationSweep);
   });
 
+  // Units toggles re-run the chart they belong to
+  document.getElementById("dcaUnits").addEventListener("change", async () => {
+    try { await runDca(); } catch (e) { alert(e.message); }
+  });
+  document.getElementById("retUnits").addEventListener("change", async () => {
+    try { await runRetirement(); } catch (e) { alert(e.message); }
+  });
+  document.getElementById("sUnits").addEventListener("change", async () => {
+    try { await runSuccess(); } catch (e) { alert(e.message); }
+  });
+
   // Mode toggles
   document.getElementById("retMode").addEventListener("change", toggleRetirementModeUI);
   document.getElementById("sMode").addEventListener("change", toggleSuccessModeUI);
@@ -1,14 +1,29 @@
+const fs = require("fs");
 const path = require("path");
 const express = require("express");
 const morgan = require("morgan");
 
-const { loadDailyCsvAndBuildMonthly } = require("./lib/dataLoader");
+const { loadDailyCsvAndBuildMonthly } = require("./lib/dataloader");
 const { loadInflationAnnualFromCsv } = require("./lib/inflationLoader");
+const { loadBondReturnsFromCsv } = require("./lib/bondLoader");
 const {
+  START_CADENCE_MONTHS,
   runDcaMonthly,
   runRetirementMonthly,
   runRetirementSuccessByStartYear
 } = require("./lib/simulations");
+const { REBALANCE_POLICIES } = require("./lib/portfolio");
+const {
+  BOOTSTRAP_METHODS,
+  runRetirementMonteCarlo,
+  runRetirementParametric
+} = require("./lib/monteCarlo");
+const { RETURN_MODELS } = require("./lib/distributions");
+const { ACCOUNT_TYPES, WITHDRAWAL_ORDERS, FILING_STATUSES, FEDERAL_TAX_TABLES } = require("./lib/taxes");
+const { COLA_TYPES } = require("./lib/incomeStreams");
+const { solveSafeWithdrawalRate, solveRequiredBalance } = require("./lib/solvers");
+const { runPerfectWithdrawalRates } = require("./lib/perfectWithdrawal");
+const { runSuccessGrid } = require("./lib/successGrid");
 
 const PORT = process.env.PORT || 4119;
 const DATA_CSV =
@@ -17,6 +32,21 @@ const DATA_CSV =
 const INFLATION_CSV =
   process.env.INFLATION_CSV || path.join(__dirname, "data", "us_inflation.csv");
 
+// Optional: only used when the S&P CSV has no adjusted-close or dividend column.
+const DIVIDEND_YIELD_CSV =
+  process.env.DIVIDEND_YIELD_CSV || path.join(__dirname, "data", "sp500_dividend_yield.csv");
+
+// Optional: long-term Treasury yields (annual or monthly). Enables the "bonds" asset.
+const BOND_YIELDS_CSV =
+  process.env.BOND_YIELDS_CSV || path.join(__dirname, "data", "treasury_yields.csv");
+
+// Shown by /api/meta and the errors when the optional data is missing (see data/README.md)
+const TOTAL_RETURN_HINT =
+  `Add an adjusted-close or dividend column to the S&P CSV, or save a dividend yield CSV at ${DIVIDEND_YIELD_CSV} (see data/README.md).`;
+const BONDS_HINT =
+  `Save a long-term Treasury yield CSV (e.g. FRED GS10) at ${BOND_YIELDS_CSV} to enable the bonds asset (see data/README.md).`;
+const BOND_MATURITY_YEARS = toNumber(process.env.BOND_MATURITY_YEARS, 10);
+
 function toNumber(val, fallback = null) {
   const n = Number(val);
   return Number.isFinite(n) ? n : fallback;
@@ -154,13 +184,169 @@ function runInflationSweep({ inflation, amount, durationYears }) {
   };
 }
 
-function validateGuardrailsInputs({ withdrawValue, guardrailsMinPct, guardrailsMaxPct, guardrailsMinDollar }) {
+/* ---------------------------
+   Month-granularity inflation (byMonth)
+   Each month's CPI value is a year-over-year rate, so one month
+   contributes (1 + rate)^(1/12) to the cumulative factor.
+---------------------------- */
+function parseMonthKey(value, label) {
+  const m = String(value || "").trim().match(/^(\d{4})-(\d{2})$/);
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) throw new Error(`${label} must be YYYY-MM`);
+  return Number(m[1]) * 12 + (Number(m[2]) - 1);
+}
+
+function monthKeyFromIndex(idx) {
+  return `${Math.floor(idx / 12)}-${String((idx % 12) + 1).padStart(2, "0")}`;
+}
+
+function monthlyInflationMultiplier(inflation, idx) {
+  const month = monthKeyFromIndex(idx);
+  const row = inflation.byMonth.get(month);
+  if (!row) throw new Error(`Missing inflation data for month ${month}`);
+
+  const mult = Math.pow(1 + row.ratePct / 100, 1 / 12);
+  if (!Number.isFinite(mult) || mult <= 0) {
+    throw new Error(`Inflation factor became non-positive at ${month} (rate=${row.ratePct}%)`);
+  }
+  return { row, mult };
+}
+
+function assertInflationMonths(inflation) {
+  if (!inflation?.byMonth?.size) throw new Error("Inflation dataset has no monthly values");
+}
+
+// endMonth (inclusive) or durationMonths
+function runInflationMonthWindow({ inflation, amount, startMonth, endMonth, durationMonths }) {
+  assertInflationMonths(inflation);
+
+  const sIdx = parseMonthKey(startMonth, "startMonth");
+  let eIdx;
+  if (endMonth) {
+    eIdx = parseMonthKey(endMonth, "endMonth");
+  } else {
+    const months = Math.floor(durationMonths);
+    if (!Number.isFinite(months) || months <= 0) throw new Error("endMonth or durationMonths (> 0) is required");
+    eIdx = sIdx + months - 1;
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0) throw new Error("amount must be > 0");
+  if (eIdx < sIdx) throw new Error("endMonth must be >= startMonth");
+
+  const firstIdx = parseMonthKey(inflation.meta.firstMonth, "firstMonth");
+  const lastIdx = parseMonthKey(inflation.meta.lastMonth, "lastMonth");
+  if (sIdx < firstIdx || eIdx > lastIdx) {
+    throw new Error(
+      `Inflation range must be within ${inflation.meta.firstMonth}–${inflation.meta.lastMonth}. Requested ${monthKeyFromIndex(sIdx)}–${monthKeyFromIndex(eIdx)}.`
+    );
+  }
+
+  let factor = 1;
+  const series = [];
+
+  for (let i = sIdx; i <= eIdx; i++) {
+    const { row, mult } = monthlyInflationMultiplier(inflation, i);
+    factor *= mult;
+
+    series.push({
+      month: row.month,
+      inflationPct: row.ratePct,
+      cumulativeFactor: factor,
+      futureEquivalent: amount * factor,
+      realValueInStartDollars: amount / factor
+    });
+  }
+
+  return {
+    amount,
+    startMonth: monthKeyFromIndex(sIdx),
+    endMonth: monthKeyFromIndex(eIdx),
+    durationMonths: eIdx - sIdx + 1,
+    cumulativeInflationFactor: factor,
+    futureEquivalentSameBuyingPower: amount * factor,
+    purchasingPowerInStartDollars: amount / factor,
+    series
+  };
+}
+
+// Every start month with a full window of durationMonths inside the CPI data.
+function runInflationMonthSweep({ inflation, amount, durationMonths }) {
+  assertInflationMonths(inflation);
+
+  const months = Math.floor(durationMonths);
+
+  if (!Number.isFinite(months) || months <= 0) throw new Error("durationMonths must be > 0");
+  if (!Number.isFinite(amount) || amount <= 0) throw new Error("amount must be > 0");
+
+  const first = parseMonthKey(inflation.meta.firstMonth, "firstMonth");
+  const last = parseMonthKey(inflation.meta.lastMonth, "lastMonth");
+
+  const maxStart = last - months + 1;
+  if (maxStart < first) {
+    throw new Error(
+      `durationMonths is too large for inflation dataset. Max duration is ${last - first + 1} months.`
+    );
+  }
+
+  const mults = [];
+  for (let i = first; i <= last; i++) mults.push(monthlyInflationMultiplier(inflation, i));
+
+  const results = [];
+  for (let s = first; s <= maxStart; s++) {
+    let factor = 1;
+    let sumInfl = 0;
+
+    for (let k = s - first; k < s - first + months; k++) {
+      factor *= mults[k].mult;
+      sumInfl += mults[k].row.ratePct;
+    }
+
+    results.push({
+      startMonth: monthKeyFromIndex(s),
+      endMonth: monthKeyFromIndex(s + months - 1),
+      startAmount: amount,
+      endAmount: amount * factor,
+      realValueInStartDollars: amount / factor,
+      cumulativeFactor: factor,
+      avgInflationPct: sumInfl / months
+    });
+  }
+
+  return {
+    amount,
+    durationMonths: months,
+    summary: {
+      startMonthsTested: results.length,
+      firstStartMonth: monthKeyFromIndex(first),
+      lastStartMonth: monthKeyFromIndex(maxStart)
+    },
+    results
+  };
+}
+
+const GUARDRAILS_EVALUATIONS = ["monthly", "annual"];
+
+// Triggers are run-year returns in percent: above the upper one the rate steps up,
+// below the lower one it steps down. Blank triggers/step keep the defaults (8 / 3 / 0.25).
+function validateGuardrailsInputs({
+  withdrawValue,
+  guardrailsMinPct,
+  guardrailsMaxPct,
+  guardrailsMinDollar,
+  guardrailsUpperTriggerPct,
+  guardrailsLowerTriggerPct,
+  guardrailsStepPct,
+  guardrailsEvaluation
+}) {
+  const blank = (v) => v === undefined || v === null || v === "";
+
   const startPct = toNumber(withdrawValue);
   const minPct = toNumber(guardrailsMinPct);
   const maxPct = toNumber(guardrailsMaxPct);
-  const minDollar = guardrailsMinDollar === undefined || guardrailsMinDollar === null || guardrailsMinDollar === ""
-    ? null
-    : toNumber(guardrailsMinDollar);
+  const minDollar = blank(guardrailsMinDollar) ? null : toNumber(guardrailsMinDollar);
+  const upperPct = blank(guardrailsUpperTriggerPct) ? 8 : toNumber(guardrailsUpperTriggerPct);
+  const lowerPct = blank(guardrailsLowerTriggerPct) ? 3 : toNumber(guardrailsLowerTriggerPct);
+  const stepPct = blank(guardrailsStepPct) ? 0.25 : toNumber(guardrailsStepPct);
+  const evaluation = blank(guardrailsEvaluation) ? "monthly" : guardrailsEvaluation;
 
   if (!startPct || startPct <= 0) throw new Error("Guardrails starting withdraw rate must be > 0");
   if (minPct === null || minPct < 0) throw new Error("Guardrails min % must be >= 0");
@@ -172,13 +358,94 @@ function validateGuardrailsInputs({ withdrawValue, guardrailsMinPct, guardrailsM
     throw new Error("Guardrails min dollar floor must be >= 0 (or blank)");
   }
 
-  return { startPct, minPct, maxPct, minDollar: minDollar ?? 0 };
+  if (upperPct === null || upperPct <= -100) throw new Error("Guardrails upper trigger % must be > -100");
+  if (lowerPct === null || lowerPct <= -100) throw new Error("Guardrails lower trigger % must be > -100");
+  if (lowerPct > upperPct) throw new Error("Guardrails lower trigger % must be <= upper trigger %");
+  if (stepPct === null || stepPct <= 0 || stepPct > 10) throw new Error("Guardrails step % must be > 0 and <= 10");
+  if (!GUARDRAILS_EVALUATIONS.includes(evaluation)) {
+    throw new Error(`guardrailsEvaluation must be one of ${GUARDRAILS_EVALUATIONS.join(", ")}`);
+  }
+
+  return { startPct, minPct, maxPct, minDollar: minDollar ?? 0, upperPct, lowerPct, stepPct, evaluation };
 }
 
+// "price" = S&P closes only; "total" = dividends reinvested (needs total-return data).
+function validateReturnBasis(returnBasis, dataset) {
+  const basis = returnBasis === undefined || returnBasis === null || returnBasis === "" ? "price" : returnBasis;
+
+  if (!["price", "total"].includes(basis)) {
+    throw new Error("returnBasis must be price or total");
+  }
+  if (basis === "total" && !dataset.meta.totalReturnSource) {
+    throw new Error(
+      `Total-return data is not available. ${TOTAL_RETURN_HINT}`
+    );
+  }
+
+  return basis;
+}
+
+// "nominal" (default) or "real": dollar figures deflated to start-date dollars with the CPI data.
+function validateUnits(units) {
+  const u = units === undefined || units === null || units === "" ? "nominal" : units;
+  if (!["nominal", "real"].includes(u)) {
+    throw new Error("units must be nominal or real");
+  }
+  return u;
+}
+
+// Multi-asset options. allocation is percent per asset series ({ stocks: 60, cash: 40 });
+// asset names and the 100% total are checked by the simulation against the loaded series.
+function validatePortfolioInputs({ allocation, rebalance, rebalanceBandPct, cashAnnualPct }) {
+  if (allocation !== undefined && allocation !== null) {
+    if (typeof allocation !== "object" || Array.isArray(allocation) || !Object.keys(allocation).length) {
+      throw new Error("allocation must be an object of asset -> percent, e.g. { \"stocks\": 60, \"cash\": 40 }");
+    }
+  }
+
+  const policy = rebalance === undefined || rebalance === null || rebalance === "" ? "none" : rebalance;
+  if (!REBALANCE_POLICIES.includes(policy)) {
+    throw new Error(`rebalance must be one of ${REBALANCE_POLICIES.join(", ")}`);
+  }
+
+  const bandPct = rebalanceBandPct === undefined || rebalanceBandPct === null || rebalanceBandPct === ""
+    ? 5
+    : toNumber(rebalanceBandPct);
+  if (policy === "threshold" && (bandPct === null || bandPct <= 0 || bandPct >= 100)) {
+    throw new Error("rebalanceBandPct must be between 0 and 100");
+  }
+
+  const cashPct = cashAnnualPct === undefined || cashAnnualPct === null || cashAnnualPct === ""
+    ? 0
+    : toNumber(cashAnnualPct);
+  if (cashPct === null || cashPct < -50 || cashPct > 100) {
+    throw new Error("cashAnnualPct must be between -50 and 100");
+  }
+
+  return {
+    allocation: allocation || { stocks: 100 },
+    rebalance: { policy, bandPct },
+    cashAnnualPct: cashPct
+  };
+}
+
+const INFLATION_SOURCES = ["fixed", "historical"];
+
 // For "percentOfCurrent" mode, we now interpret the "More options" field as
 // an ANNUAL inflation assumption (%), default 3%.
+// inflationSource "historical" indexes spending by the CPI data instead (the assumption is then unused).
 // (We accept the old request field name too for backwards compatibility.)
-function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct, percentOfCurrentAnnualIncreasePct }) {
+function validateInflationAdjustedOptions({
+  percentOfCurrentAnnualInflationPct,
+  percentOfCurrentAnnualIncreasePct,
+  inflationSource,
+  defaultSource = "fixed"
+}) {
+  const source = inflationSource || defaultSource;
+  if (!INFLATION_SOURCES.includes(source)) {
+    throw new Error(`inflationSource must be one of ${INFLATION_SOURCES.join(", ")}`);
+  }
+
   const raw =
     percentOfCurrentAnnualInflationPct !== undefined && percentOfCurrentAnnualInflationPct !== null && percentOfCurrentAnnualInflationPct !== ""
       ? percentOfCurrentAnnualInflationPct
@@ -190,7 +457,702 @@ function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct,
     throw new Error("Inflation assumption must be between -50 and 100");
   }
 
-  return { annualInflationPct: inf };
+  return { annualInflationPct: inf, inflationSource: source };
+}
+
+// Monte Carlo options. A missing seed gets a random one, echoed back so the run can be replayed.
+function validateMonteCarloInputs({ trials, seed, method, blockLengthMonths }) {
+  const n = trials === undefined || trials === null || trials === "" ? 1000 : toNumber(trials);
+  if (n === null || !Number.isInteger(n) || n < 1 || n > 20000) {
+    throw new Error("trials must be a whole number between 1 and 20000");
+  }
+
+  const s = seed === undefined || seed === null || seed === ""
+    ? Math.floor(Math.random() * 4294967296)
+    : toNumber(seed);
+  if (s === null || !Number.isInteger(s) || s < 0 || s > 4294967295) {
+    throw new Error("seed must be a whole number between 0 and 4294967295");
+  }
+
+  const m = method || "block";
+  if (!BOOTSTRAP_METHODS.includes(m)) {
+    throw new Error(`method must be one of ${BOOTSTRAP_METHODS.join(", ")}`);
+  }
+
+  const block = blockLengthMonths === undefined || blockLengthMonths === null || blockLengthMonths === ""
+    ? 12
+    : toNumber(blockLengthMonths);
+  if (block === null || !Number.isInteger(block) || block < 1 || block > 240) {
+    throw new Error("blockLengthMonths must be a whole number between 1 and 240");
+  }
+
+  return { trials: n, seed: s, method: m, blockLengthMonths: block };
+}
+
+// Parametric model choice plus optional overrides of the fitted annual mean / volatility (%).
+function validateParametricInputs({ model, meanAnnualPct, volAnnualPct }) {
+  const m = model || "lognormal";
+  if (!RETURN_MODELS.includes(m)) {
+    throw new Error(`model must be one of ${RETURN_MODELS.join(", ")}`);
+  }
+
+  const blank = (v) => v === undefined || v === null || v === "";
+  const mean = blank(meanAnnualPct) ? null : toNumber(meanAnnualPct);
+  const vol = blank(volAnnualPct) ? null : toNumber(volAnnualPct);
+
+  if (!blank(meanAnnualPct) && (mean === null || mean <= -100 || mean > 100)) {
+    throw new Error("meanAnnualPct must be between -100 and 100 (or blank)");
+  }
+  if (!blank(volAnnualPct) && (vol === null || vol <= 0 || vol > 200)) {
+    throw new Error("volAnnualPct must be between 0 and 200 (or blank)");
+  }
+
+  return { model: m, meanAnnualPct: mean, volAnnualPct: vol };
+}
+
+// Shared by the solvers: target success rate and the withdrawal-rate range searched (%).
+function validateSolverTarget(body, defaultMaxRatePct) {
+  const blank = (v) => v === undefined || v === null || v === "";
+  const target = blank(body.targetSuccessRatePct) ? 95 : toNumber(body.targetSuccessRatePct);
+  const minRate = blank(body.minRatePct) ? 0.5 : toNumber(body.minRatePct);
+  const maxRate = blank(body.maxRatePct) ? defaultMaxRatePct : toNumber(body.maxRatePct);
+
+  if (target === null || target <= 0 || target > 100) {
+    throw new Error("targetSuccessRatePct must be > 0 and <= 100");
+  }
+  if (minRate === null || minRate <= 0) throw new Error("minRatePct must be > 0");
+  if (maxRate === null || maxRate <= minRate || maxRate > 100) {
+    throw new Error("maxRatePct must be > minRatePct and <= 100");
+  }
+
+  return { targetSuccessRatePct: target, minRatePct: minRate, maxRatePct: maxRate };
+}
+
+const SOLVE_FOR = ["rate", "amount"];
+
+// Withdrawal-rate solver: target success rate and search range in %, tolerance in
+// percentage points (solveFor "rate") or dollars per year (solveFor "amount").
+function validateSwrSolverInputs(body, initialBalance) {
+  const blank = (v) => v === undefined || v === null || v === "";
+  const target = validateSolverTarget(body, 15);
+  const solveFor = body.solveFor || "rate";
+
+  if (!SOLVE_FOR.includes(solveFor)) {
+    throw new Error(`solveFor must be one of ${SOLVE_FOR.join(", ")}`);
+  }
+
+  let tolerancePct;
+  if (solveFor === "amount") {
+    const amount = blank(body.toleranceAmount) ? 100 : toNumber(body.toleranceAmount);
+    if (amount === null || amount <= 0) throw new Error("toleranceAmount must be > 0");
+    tolerancePct = (amount / initialBalance) * 100;
+  } else {
+    tolerancePct = blank(body.tolerancePct) ? 0.01 : toNumber(body.tolerancePct);
+    if (tolerancePct === null || tolerancePct <= 0 || tolerancePct > 1) {
+      throw new Error("tolerancePct must be > 0 and <= 1");
+    }
+  }
+
+  return { ...target, tolerancePct, solveFor };
+}
+
+// Required-balance solver: annual spending in start-date dollars, tolerance in dollars of
+// balance, and the other durations (years) to re-solve for the sensitivity table.
+// Blank sensitivityDurations means 10 and 5 years either side of durationYears.
+function validateRequiredBalanceInputs(body, durationYears) {
+  const blank = (v) => v === undefined || v === null || v === "";
+  const annualSpending = toNumber(body.annualSpending);
+  const tolerance = blank(body.toleranceAmount) ? 1000 : toNumber(body.toleranceAmount);
+
+  if (!annualSpending || annualSpending <= 0) throw new Error("annualSpending must be > 0");
+  if (tolerance === null || tolerance <= 0) throw new Error("toleranceAmount must be > 0");
+
+  let durations;
+  if (blank(body.sensitivityDurations)) {
+    durations = [-10, -5, 5, 10].map((d) => durationYears + d).filter((d) => d > 0);
+  } else {
+    if (!Array.isArray(body.sensitivityDurations)) throw new Error("sensitivityDurations must be an array");
+    if (body.sensitivityDurations.length > 10) throw new Error("At most 10 sensitivityDurations are allowed");
+    durations = body.sensitivityDurations.map((v) => {
+      const d = toNumber(v);
+      if (d === null || !Number.isInteger(d) || d <= 0 || d > 100) {
+        throw new Error("sensitivityDurations must be whole numbers of years between 1 and 100");
+      }
+      return d;
+    });
+  }
+
+  return {
+    annualSpending,
+    ...validateSolverTarget(body, 50),
+    toleranceAmount: tolerance,
+    sensitivityDurations: [...new Set([...durations, durationYears])].sort((a, b) => a - b)
+  };
+}
+
+// Cells allowed with annual starts. Quarterly and monthly starts run 4 or 12 times as many
+// starts per cell, so the limit shrinks by that much to keep a request's work the same.
+const MAX_GRID_CELLS = 400;
+
+// Evenly spaced values from..to (inclusive); `to` is kept even if the step overshoots it.
+function gridSteps(from, to, step) {
+  const out = [];
+  const n = Math.floor((to - from) / step + 1e-9);
+  for (let k = 0; k <= n; k++) out.push(Number((from + k * step).toFixed(6)));
+  if (out[out.length - 1] < to) out.push(to);
+  return out;
+}
+
+// Success grid: withdrawal rates (%) and durations (years) as from / to / step ranges.
+// guardrails: the rates are starting rates and must sit inside the min/max band.
+function validateSuccessGridInputs(body, opts) {
+  const blank = (v) => v === undefined || v === null || v === "";
+  const minRate = blank(body.minRatePct) ? 3 : toNumber(body.minRatePct);
+  const maxRate = blank(body.maxRatePct) ? 6 : toNumber(body.maxRatePct);
+  const rateStep = blank(body.rateStepPct) ? 0.5 : toNumber(body.rateStepPct);
+  const minYears = blank(body.minDurationYears) ? 20 : toNumber(body.minDurationYears);
+  const maxYears = blank(body.maxDurationYears) ? 40 : toNumber(body.maxDurationYears);
+  const yearStep = blank(body.durationStepYears) ? 5 : toNumber(body.durationStepYears);
+
+  if (minRate === null || minRate <= 0) throw new Error("minRatePct must be > 0");
+  if (maxRate === null || maxRate < minRate || maxRate > 100) {
+    throw new Error("maxRatePct must be >= minRatePct and <= 100");
+  }
+  if (rateStep === null || rateStep <= 0) throw new Error("rateStepPct must be > 0");
+  if (minYears === null || !Number.isInteger(minYears) || minYears < 1) {
+    throw new Error("minDurationYears must be a whole number >= 1");
+  }
+  if (maxYears === null || !Number.isInteger(maxYears) || maxYears < minYears || maxYears > 100) {
+    throw new Error("maxDurationYears must be a whole number between minDurationYears and 100");
+  }
+  if (yearStep === null || !Number.isInteger(yearStep) || yearStep < 1) {
+    throw new Error("durationStepYears must be a whole number >= 1");
+  }
+
+  const ratesPct = gridSteps(minRate, maxRate, rateStep);
+  const durations = gridSteps(minYears, maxYears, yearStep);
+  const maxCells = Math.floor(MAX_GRID_CELLS / START_CADENCE_MONTHS[opts.startCadence].length);
+  if (ratesPct.length * durations.length > maxCells) {
+    throw new Error(
+      `The grid has ${ratesPct.length * durations.length} cells; at most ${maxCells} are allowed with ${opts.startCadence} starts`
+    );
+  }
+
+  if (opts.withdrawMode === "guardrails" && (minRate < opts.guardrailsMinPct || maxRate > opts.guardrailsMaxPct)) {
+    throw new Error("Guardrails grid rates must be within the guardrails min/max band");
+  }
+
+  return { ratesPct, durations };
+}
+
+// Perfect withdrawal rate analysis: the durations (years) to cover and the real ending
+// balance to leave, % of the start. Withdrawals follow the CPI data unless told otherwise.
+function validatePerfectWithdrawalInputs(body, dataset) {
+  const blank = (v) => v === undefined || v === null || v === "";
+  const minYears = blank(body.minDurationYears) ? 10 : toNumber(body.minDurationYears);
+  const maxYears = blank(body.maxDurationYears) ? 40 : toNumber(body.maxDurationYears);
+  const target = blank(body.targetEndingBalancePct) ? 0 : toNumber(body.targetEndingBalancePct);
+  const withdrawFrequency = body.withdrawFrequency || "monthly";
+
+  if (minYears === null || !Number.isInteger(minYears) || minYears < 1) {
+    throw new Error("minDurationYears must be a whole number >= 1");
+  }
+  if (maxYears === null || !Number.isInteger(maxYears) || maxYears < minYears || maxYears > 100) {
+    throw new Error("maxDurationYears must be a whole number between minDurationYears and 100");
+  }
+  if (target === null || target < 0 || target > 1000) {
+    throw new Error("targetEndingBalancePct must be between 0 and 1000");
+  }
+  if (!["monthly", "annual"].includes(withdrawFrequency)) {
+    throw new Error("withdrawFrequency must be monthly or annual");
+  }
+
+  // The closed form starts every January and holds the allocation at its weights every month
+  if (!blank(body.startCadence) && body.startCadence !== "annual") {
+    throw new Error("startCadence must be annual: perfect withdrawal rates start each January");
+  }
+  if (!blank(body.rebalance) && body.rebalance !== "monthly") {
+    throw new Error("rebalance must be monthly: perfect withdrawal rates hold the allocation at its weights every month");
+  }
+
+  const portfolioOpt = validatePortfolioInputs(body);
+  const inflationOpt = validateInflationAdjustedOptions({
+    percentOfCurrentAnnualInflationPct: body.percentOfCurrentAnnualInflationPct,
+    inflationSource: body.inflationSource,
+    defaultSource: "historical"
+  });
+
+  return {
+    minDurationYears: minYears,
+    maxDurationYears: maxYears,
+    targetEndingBalancePct: target,
+    withdrawFrequency,
+    returnBasis: validateReturnBasis(body.returnBasis, dataset),
+    allocation: portfolioOpt.allocation,
+    cashAnnualPct: portfolioOpt.cashAnnualPct,
+    inflationSource: inflationOpt.inflationSource,
+    annualInflationPct: inflationOpt.annualInflationPct
+  };
+}
+
+// Costs, all optional: expense ratio and AUM fee in % per year, flat dollar fee per year.
+// Returns null when no fee is set so runs without costs stay unchanged.
+function validateFeeInputs({ expenseRatioPct, aumFeePct, flatAnnualFee }) {
+  const blank = (v) => v === undefined || v === null || v === "";
+  if (blank(expenseRatioPct) && blank(aumFeePct) && blank(flatAnnualFee)) return null;
+
+  const er = blank(expenseRatioPct) ? 0 : toNumber(expenseRatioPct);
+  const aum = blank(aumFeePct) ? 0 : toNumber(aumFeePct);
+  const flat = blank(flatAnnualFee) ? 0 : toNumber(flatAnnualFee);
+
+  if (er === null || er < 0 || er > 10) throw new Error("expenseRatioPct must be between 0 and 10");
+  if (aum === null || aum < 0 || aum > 10) throw new Error("aumFeePct must be between 0 and 10");
+  if (flat === null || flat < 0) throw new Error("flatAnnualFee must be >= 0");
+
+  return { expenseRatioPct: er, aumFeePct: aum, flatAnnualFee: flat };
+}
+
+// incomeStreams: [{ name?, monthlyAmount, startOffsetMonths?, endOffsetMonths?, cola?, colaPct? }]
+// Offsets count months from the start of the run; monthlyAmount is in start-date dollars.
+function validateIncomeStreams(incomeStreams) {
+  if (incomeStreams === undefined || incomeStreams === null || incomeStreams === "") return null;
+  if (!Array.isArray(incomeStreams)) throw new Error("incomeStreams must be an array");
+  if (incomeStreams.length > 20) throw new Error("At most 20 income streams are supported");
+
+  const blank = (v) => v === undefined || v === null || v === "";
+
+  return incomeStreams.map((s, k) => {
+    const label = `incomeStreams[${k}]`;
+    if (!s || typeof s !== "object") throw new Error(`${label} must be an object`);
+
+    const amount = toNumber(s.monthlyAmount);
+    if (amount === null || amount <= 0) throw new Error(`${label}.monthlyAmount must be > 0`);
+
+    const start = blank(s.startOffsetMonths) ? 0 : toNumber(s.startOffsetMonths);
+    if (start === null || !Number.isInteger(start) || start < 0) {
+      throw new Error(`${label}.startOffsetMonths must be a whole number >= 0`);
+    }
+
+    const end = blank(s.endOffsetMonths) ? null : toNumber(s.endOffsetMonths);
+    if (end !== null && (!Number.isInteger(end) || end <= start)) {
+      throw new Error(`${label}.endOffsetMonths must be a whole number > startOffsetMonths`);
+    }
+
+    const cola = s.cola || "none";
+    if (!COLA_TYPES.includes(cola)) throw new Error(`${label}.cola must be one of ${COLA_TYPES.join(", ")}`);
+
+    const colaPct = blank(s.colaPct) ? 0 : toNumber(s.colaPct);
+    if (cola === "fixed" && (colaPct === null || colaPct < -50 || colaPct > 100)) {
+      throw new Error(`${label}.colaPct must be between -50 and 100`);
+    }
+
+    return {
+      name: s.name ? String(s.name) : null,
+      monthlyAmount: amount,
+      startOffsetMonths: start,
+      endOffsetMonths: end,
+      cola,
+      colaPct: cola === "fixed" ? colaPct : null
+    };
+  });
+}
+
+// Guyton-Klinger rule settings, all optional (percent; blank keeps the published defaults):
+// gkCapitalPreservationPct (20), gkProsperityPct (20), gkCutPct (10), gkRaisePct (10),
+// gkFreezeAfterLoss (true), gkSunsetYears (15).
+function validateGuytonKlingerInputs(body) {
+  const blank = (v) => v === undefined || v === null || v === "";
+  const num = (v, d) => (blank(v) ? d : toNumber(v));
+
+  const capitalPreservationPct = num(body.gkCapitalPreservationPct, 20);
+  const prosperityPct = num(body.gkProsperityPct, 20);
+  const cutPct = num(body.gkCutPct, 10);
+  const raisePct = num(body.gkRaisePct, 10);
+  const sunsetYears = num(body.gkSunsetYears, 15);
+
+  if (capitalPreservationPct === null || capitalPreservationPct <= 0 || capitalPreservationPct > 100) {
+    throw new Error("gkCapitalPreservationPct must be > 0 and <= 100");
+  }
+  if (prosperityPct === null || prosperityPct <= 0 || prosperityPct >= 100) {
+    throw new Error("gkProsperityPct must be > 0 and < 100");
+  }
+  if (cutPct === null || cutPct <= 0 || cutPct >= 100) throw new Error("gkCutPct must be > 0 and < 100");
+  if (raisePct === null || raisePct <= 0 || raisePct > 100) throw new Error("gkRaisePct must be > 0 and <= 100");
+  if (sunsetYears === null || !Number.isInteger(sunsetYears) || sunsetYears < 0) {
+    throw new Error("gkSunsetYears must be a whole number >= 0");
+  }
+
+  return {
+    capitalPreservationPct,
+    prosperityPct,
+    cutPct,
+    raisePct,
+    freezeAfterLoss: !(body.gkFreezeAfterLoss === false || body.gkFreezeAfterLoss === "false"),
+    sunsetYears
+  };
+}
+
+// VPW: vpwRealReturnPct (blank = the allocation's long-run blend) and vpwHorizonYears
+// (blank = durationYears; a longer horizon leaves money at the end of the run).
+function validateVpwInputs(body, durationYears) {
+  const blank = (v) => v === undefined || v === null || v === "";
+
+  const realReturnPct = blank(body.vpwRealReturnPct) ? null : toNumber(body.vpwRealReturnPct);
+  if (realReturnPct !== null && (realReturnPct < -5 || realReturnPct > 15)) {
+    throw new Error("vpwRealReturnPct must be between -5 and 15");
+  }
+
+  const horizonYears = blank(body.vpwHorizonYears) ? null : toNumber(body.vpwHorizonYears);
+  if (horizonYears !== null && (!Number.isInteger(horizonYears) || horizonYears < durationYears || horizonYears > 100)) {
+    throw new Error("vpwHorizonYears must be a whole number between durationYears and 100");
+  }
+
+  return { realReturnPct, horizonYears };
+}
+
+// Vanguard dynamic spending: dynamicCeilingPct (default 5) and dynamicFloorPct (default 2.5)
+// bound the real year-over-year spending change (the floor is the largest cut, as a positive %).
+function validateDynamicSpendingInputs(body) {
+  const blank = (v) => v === undefined || v === null || v === "";
+
+  const ceilingPct = blank(body.dynamicCeilingPct) ? 5 : toNumber(body.dynamicCeilingPct);
+  const floorPct = blank(body.dynamicFloorPct) ? 2.5 : toNumber(body.dynamicFloorPct);
+
+  if (ceilingPct === null || ceilingPct < 0 || ceilingPct > 100) {
+    throw new Error("dynamicCeilingPct must be between 0 and 100");
+  }
+  if (floorPct === null || floorPct < 0 || floorPct >= 100) {
+    throw new Error("dynamicFloorPct must be >= 0 and < 100");
+  }
+
+  return { ceilingPct, floorPct };
+}
+
+// Endowment smoothing: share of next year's spending carried over from last year's
+// (inflation-adjusted) spending, in percent; the rest follows withdrawValue % of the balance.
+function validateEndowmentWeight(endowmentWeightPct) {
+  if (endowmentWeightPct === undefined || endowmentWeightPct === null || endowmentWeightPct === "") return 70;
+
+  const weight = toNumber(endowmentWeightPct);
+  if (weight === null || weight < 0 || weight >= 100) throw new Error("endowmentWeightPct must be >= 0 and < 100");
+  return weight;
+}
+
+// Kitces ratchet: ratchetThresholdPct (balance as % of the initial one, default 150),
+// ratchetPct (permanent raise, default 10) and ratchetEveryYears (min. years between raises, default 3).
+function validateRatchetInputs(body) {
+  const blank = (v) => v === undefined || v === null || v === "";
+
+  const thresholdPct = blank(body.ratchetThresholdPct) ? 150 : toNumber(body.ratchetThresholdPct);
+  const raisePct = blank(body.ratchetPct) ? 10 : toNumber(body.ratchetPct);
+  const everyYears = blank(body.ratchetEveryYears) ? 3 : toNumber(body.ratchetEveryYears);
+
+  if (thresholdPct === null || thresholdPct <= 0 || thresholdPct > 1000) {
+    throw new Error("ratchetThresholdPct must be > 0 and <= 1000");
+  }
+  if (raisePct === null || raisePct <= 0 || raisePct > 100) throw new Error("ratchetPct must be > 0 and <= 100");
+  if (everyYears === null || !Number.isInteger(everyYears) || everyYears < 1) {
+    throw new Error("ratchetEveryYears must be a whole number >= 1");
+  }
+
+  return { thresholdPct, raisePct, everyYears };
+}
+
+// drawdownTiers: [{ drawdownPct, cutPct }], e.g. [{ drawdownPct: 20, cutPct: 10 }, { drawdownPct: 35, cutPct: 25 }].
+// Deeper drawdowns must cut at least as much. Blank keeps those defaults.
+function validateDrawdownTiers(drawdownTiers) {
+  if (drawdownTiers === undefined || drawdownTiers === null || drawdownTiers === "") return null;
+  if (!Array.isArray(drawdownTiers) || !drawdownTiers.length) throw new Error("drawdownTiers must be a non-empty array");
+  if (drawdownTiers.length > 10) throw new Error("At most 10 drawdown tiers are supported");
+
+  const tiers = drawdownTiers.map((t, k) => {
+    const label = `drawdownTiers[${k}]`;
+    if (!t || typeof t !== "object") throw new Error(`${label} must be an object`);
+
+    const drawdownPct = toNumber(t.drawdownPct);
+    const cutPct = toNumber(t.cutPct);
+    if (drawdownPct === null || drawdownPct <= 0 || drawdownPct >= 100) {
+      throw new Error(`${label}.drawdownPct must be > 0 and < 100`);
+    }
+    if (cutPct === null || cutPct <= 0 || cutPct > 100) throw new Error(`${label}.cutPct must be > 0 and <= 100`);
+    return { drawdownPct, cutPct };
+  });
+
+  const sorted = [...tiers].sort((a, b) => a.drawdownPct - b.drawdownPct);
+  for (let k = 1; k < sorted.length; k++) {
+    if (sorted[k].drawdownPct === sorted[k - 1].drawdownPct) throw new Error("drawdownTiers must have distinct drawdownPct");
+    if (sorted[k].cutPct < sorted[k - 1].cutPct) throw new Error("Deeper drawdown tiers must cut at least as much");
+  }
+  return sorted;
+}
+
+// Age of the retiree in the first month of the run (whole years). Required by the RMD mode,
+// which divides the balance by the Uniform Lifetime divisor for each year's age.
+function validateRetireeAge(retireeAge, required) {
+  if (retireeAge === undefined || retireeAge === null || retireeAge === "") {
+    if (required) throw new Error("retireeAge is required for withdrawMode rmd");
+    return null;
+  }
+
+  const age = toNumber(retireeAge);
+  if (age === null || !Number.isInteger(age) || age < 18 || age > 120) {
+    throw new Error("retireeAge must be a whole number between 18 and 120");
+  }
+  return age;
+}
+
+// cashFlows: [{ name?, amount, month? | offsetMonths?, indexed?, recurEveryMonths?, occurrences? }]
+// amount > 0 adds money, amount < 0 takes it out. Each flow is dated ("YYYY-MM") or counted
+// in months from the start of the run; indexed amounts are in start-date dollars.
+function validateCashFlows(cashFlows) {
+  if (cashFlows === undefined || cashFlows === null || cashFlows === "") return null;
+  if (!Array.isArray(cashFlows)) throw new Error("cashFlows must be an array");
+  if (cashFlows.length > 50) throw new Error("At most 50 cash flows are supported");
+
+  const blank = (v) => v === undefined || v === null || v === "";
+
+  return cashFlows.map((f, k) => {
+    const label = `cashFlows[${k}]`;
+    if (!f || typeof f !== "object") throw new Error(`${label} must be an object`);
+
+    const amount = toNumber(f.amount);
+    if (amount === null || amount === 0) throw new Error(`${label}.amount must be a non-zero number`);
+
+    if (blank(f.month) === blank(f.offsetMonths)) {
+      throw new Error(`${label} needs exactly one of month (YYYY-MM) or offsetMonths`);
+    }
+    if (!blank(f.month)) parseMonthKey(f.month, `${label}.month`);
+
+    const offset = blank(f.offsetMonths) ? null : toNumber(f.offsetMonths);
+    if (!blank(f.offsetMonths) && (offset === null || !Number.isInteger(offset) || offset < 0)) {
+      throw new Error(`${label}.offsetMonths must be a whole number >= 0`);
+    }
+
+    const every = blank(f.recurEveryMonths) ? null : toNumber(f.recurEveryMonths);
+    if (every !== null && (!Number.isInteger(every) || every < 1)) {
+      throw new Error(`${label}.recurEveryMonths must be a whole number >= 1`);
+    }
+
+    const occurrences = blank(f.occurrences) ? null : toNumber(f.occurrences);
+    if (occurrences !== null && (!Number.isInteger(occurrences) || occurrences < 1)) {
+      throw new Error(`${label}.occurrences must be a whole number >= 1`);
+    }
+    if (occurrences !== null && every === null) {
+      throw new Error(`${label}.occurrences needs recurEveryMonths`);
+    }
+
+    return {
+      name: f.name ? String(f.name) : null,
+      amount,
+      month: blank(f.month) ? null : String(f.month).trim(),
+      offsetMonths: offset,
+      indexed: f.indexed === true || f.indexed === "true",
+      recurEveryMonths: every,
+      occurrences
+    };
+  });
+}
+
+// Account buckets are optional: without `accounts` the balance stays one untaxed pot.
+// accounts: { taxable, taxDeferred, roth } in percent of the initial balance.
+function validateTaxInputs({ accounts, withdrawalOrder, filingStatus, taxableBasisPct, bracketFillPct }) {
+  if (accounts === undefined || accounts === null || accounts === "") return null;
+  if (typeof accounts !== "object" || Array.isArray(accounts)) {
+    throw new Error(`accounts must be an object of percentages (${ACCOUNT_TYPES.join(", ")})`);
+  }
+
+  let sum = 0;
+  for (const [type, value] of Object.entries(accounts)) {
+    if (!ACCOUNT_TYPES.includes(type)) {
+      throw new Error(`Unknown account type: ${type} (available: ${ACCOUNT_TYPES.join(", ")})`);
+    }
+    const pct = toNumber(value);
+    if (pct === null || pct < 0) throw new Error(`Account share for ${type} must be >= 0`);
+    sum += pct;
+  }
+  if (Math.abs(sum - 100) > 0.01) {
+    throw new Error(`Account shares must add up to 100 (got ${sum})`);
+  }
+
+  const order = withdrawalOrder || "taxableFirst";
+  if (!WITHDRAWAL_ORDERS.includes(order)) {
+    throw new Error(`withdrawalOrder must be one of ${WITHDRAWAL_ORDERS.join(", ")}`);
+  }
+
+  const status = filingStatus || "single";
+  if (!FILING_STATUSES.includes(status)) {
+    throw new Error(`filingStatus must be one of ${FILING_STATUSES.join(", ")}`);
+  }
+
+  const basis = taxableBasisPct === undefined || taxableBasisPct === null || taxableBasisPct === ""
+    ? 100
+    : toNumber(taxableBasisPct);
+  if (basis === null || basis < 0 || basis > 1000) {
+    throw new Error("taxableBasisPct must be between 0 and 1000");
+  }
+
+  const rates = FEDERAL_TAX_TABLES[status].ordinary.map((b) => b.ratePct);
+  const fill = bracketFillPct === undefined || bracketFillPct === null || bracketFillPct === ""
+    ? 12
+    : toNumber(bracketFillPct);
+  if (!rates.slice(0, -1).includes(fill)) {
+    throw new Error(`bracketFillPct must be one of ${rates.slice(0, -1).join(", ")}`);
+  }
+
+  return {
+    accounts,
+    withdrawalOrder: order,
+    filingStatus: status,
+    taxableBasisPct: basis,
+    bracketFillPct: fill
+  };
+}
+
+const WITHDRAW_MODES = [
+  "percentOfInitial",
+  "percentOfCurrent",
+  "guardrails",
+  "guytonKlinger",
+  "vpw",
+  "vanguardDynamic",
+  "rmd",
+  "endowment",
+  "ratchet",
+  "drawdownCuts"
+];
+
+// Modes that derive the rate themselves (withdrawValue is not needed)
+const TABLE_RATE_MODES = ["vpw", "rmd"];
+
+// Modes whose spending follows inflation (fixed assumption or historical CPI)
+const INFLATION_INDEXED_MODES = [
+  "percentOfCurrent",
+  "guytonKlinger",
+  "vanguardDynamic",
+  "endowment",
+  "ratchet",
+  "drawdownCuts"
+];
+
+// Shared parsing for every retirement endpoint (single run, start-year analysis, Monte Carlo, ...).
+// Returns the engine options common to all of them; throws with a user-facing message.
+// calendar: false for generated return paths with no CPI history (parametric), where
+// dynamic spending defaults to the fixed inflation assumption instead.
+function parseRetirementRequest(body, dataset, { calendar = true } = {}) {
+  const initialBalance = toNumber(body.initialBalance);
+  const durationYears = Math.floor(toNumber(body.durationYears));
+  const withdrawMode = body.withdrawMode || "percentOfInitial";
+  const withdrawValue = toNumber(body.withdrawValue);
+  const withdrawFrequency = body.withdrawFrequency || "monthly";
+
+  if (!initialBalance || initialBalance <= 0) {
+    throw new Error("initialBalance must be > 0");
+  }
+  if (!durationYears || durationYears <= 0) {
+    throw new Error("durationYears must be > 0");
+  }
+  if (!TABLE_RATE_MODES.includes(withdrawMode) && (!withdrawValue || withdrawValue <= 0)) {
+    throw new Error("withdrawValue must be > 0");
+  }
+  if (!WITHDRAW_MODES.includes(withdrawMode)) {
+    throw new Error(`withdrawMode must be one of ${WITHDRAW_MODES.join(", ")}`);
+  }
+  if (!["monthly", "annual"].includes(withdrawFrequency)) {
+    throw new Error("withdrawFrequency must be monthly or annual");
+  }
+  // Start-year analyses only: how often a run starts
+  const startCadence = body.startCadence || "annual";
+  if (!Object.keys(START_CADENCE_MONTHS).includes(startCadence)) {
+    throw new Error(`startCadence must be one of ${Object.keys(START_CADENCE_MONTHS).join(", ")}`);
+  }
+
+  const returnBasis = validateReturnBasis(body.returnBasis, dataset);
+  const units = validateUnits(body.units);
+  const portfolioOpt = validatePortfolioInputs(body);
+  const tax = validateTaxInputs(body);
+  const fees = validateFeeInputs(body);
+  const incomeStreams = validateIncomeStreams(body.incomeStreams);
+  const cashFlows = validateCashFlows(body.cashFlows);
+
+  let guardrails = null;
+  if (withdrawMode === "guardrails") {
+    guardrails = validateGuardrailsInputs({
+      withdrawValue,
+      guardrailsMinPct: body.guardrailsMinPct,
+      guardrailsMaxPct: body.guardrailsMaxPct,
+      guardrailsMinDollar: body.guardrailsMinDollar,
+      guardrailsUpperTriggerPct: body.guardrailsUpperTriggerPct,
+      guardrailsLowerTriggerPct: body.guardrailsLowerTriggerPct,
+      guardrailsStepPct: body.guardrailsStepPct,
+      guardrailsEvaluation: body.guardrailsEvaluation
+    });
+  }
+
+  const guytonKlinger = withdrawMode === "guytonKlinger" ? validateGuytonKlingerInputs(body) : null;
+  const vpw = withdrawMode === "vpw" ? validateVpwInputs(body, durationYears) : null;
+  const dynamic = withdrawMode === "vanguardDynamic" ? validateDynamicSpendingInputs(body) : null;
+  const retireeAge = validateRetireeAge(body.retireeAge, withdrawMode === "rmd");
+  const endowmentWeightPct = withdrawMode === "endowment" ? validateEndowmentWeight(body.endowmentWeightPct) : undefined;
+  const ratchet = withdrawMode === "ratchet" ? validateRatchetInputs(body) : null;
+  const drawdownTiers = withdrawMode === "drawdownCuts" ? validateDrawdownTiers(body.drawdownTiers) : null;
+
+  let inflationOpt = { annualInflationPct: 3, inflationSource: "fixed" };
+  if (INFLATION_INDEXED_MODES.includes(withdrawMode)) {
+    inflationOpt = validateInflationAdjustedOptions({
+      percentOfCurrentAnnualInflationPct: body.percentOfCurrentAnnualInflationPct,
+      percentOfCurrentAnnualIncreasePct: body.percentOfCurrentAnnualIncreasePct, // backward compat
+      inflationSource: body.inflationSource,
+      // Dynamic spending measures real changes against the CPI data unless told otherwise
+      defaultSource: withdrawMode === "vanguardDynamic" && calendar ? "historical" : "fixed"
+    });
+  }
+
+  return {
+    initialBalance,
+    durationYears,
+    withdrawMode,
+    withdrawValue,
+    withdrawFrequency,
+    startCadence,
+    guardrailsMinPct: guardrails?.minPct,
+    guardrailsMaxPct: guardrails?.maxPct,
+    guardrailsMinDollar: guardrails?.minDollar,
+    guardrailsUpperTriggerPct: guardrails?.upperPct,
+    guardrailsLowerTriggerPct: guardrails?.lowerPct,
+    guardrailsStepPct: guardrails?.stepPct,
+    guardrailsEvaluation: guardrails?.evaluation,
+    guytonKlinger,
+    vpwRealReturnPct: vpw?.realReturnPct,
+    vpwHorizonYears: vpw?.horizonYears,
+    dynamicCeilingPct: dynamic?.ceilingPct,
+    dynamicFloorPct: dynamic?.floorPct,
+    retireeAge,
+    endowmentWeightPct,
+    ratchetThresholdPct: ratchet?.thresholdPct,
+    ratchetPct: ratchet?.raisePct,
+    ratchetEveryYears: ratchet?.everyYears,
+    drawdownTiers,
+    percentOfCurrentAnnualInflationPct: inflationOpt.annualInflationPct,
+    inflationSource: inflationOpt.inflationSource,
+    returnBasis,
+    units,
+    tax,
+    fees,
+    incomeStreams,
+    cashFlows,
+    ...portfolioOpt
+  };
+}
+
+// For the analyses that choose withdrawValue themselves (solvers, grids): parses the rest of
+// the request with a placeholder rate that passes validation. overrides fill other fields
+// the analysis sets itself.
+function parseRetirementRequestWithoutRate(body, dataset, overrides = {}) {
+  if (TABLE_RATE_MODES.includes(body.withdrawMode)) {
+    throw new Error(`withdrawMode ${body.withdrawMode} sets its own rate: use a mode with a starting rate`);
+  }
+  const placeholder = body.withdrawMode === "guardrails" ? body.guardrailsMaxPct : 1;
+  return parseRetirementRequest({ ...body, ...overrides, withdrawValue: placeholder }, dataset);
 }
 
 (async () => {
@@ -200,9 +1162,10 @@ function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct,
 
   let dataset;
   let inflation;
+  let bonds = null;
 
   try {
-    dataset = await loadDailyCsvAndBuildMonthly(DATA_CSV);
+    dataset = await loadDailyCsvAndBuildMonthly(DATA_CSV, { dividendYieldCsvPath: DIVIDEND_YIELD_CSV });
   } catch (err) {
     console.error("Failed to load S&P CSV:", err);
     process.exit(1);
@@ -216,6 +1179,15 @@ function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct,
     process.exit(1);
   }
 
+  if (fs.existsSync(BOND_YIELDS_CSV)) {
+    try {
+      bonds = loadBondReturnsFromCsv(BOND_YIELDS_CSV, { maturityYears: BOND_MATURITY_YEARS });
+    } catch (err) {
+      console.error("Failed to load Bond yields CSV:", err);
+      process.exit(1);
+    }
+  }
+
   app.use(express.static(path.join(__dirname, "public")));
 
   app.get("/api/meta", (req, res) => {
@@ -225,7 +1197,9 @@ function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct,
       firstDailyDate,
       lastDailyDate,
       firstMonth,
-      lastMonth
+      lastMonth,
+      totalReturnSource,
+      totalReturnFirstMonth
     } = dataset.meta;
 
     res.json({
@@ -235,21 +1209,53 @@ function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct,
       lastDailyDate,
       firstMonth,
       lastMonth,
+      totalReturn: {
+        available: Boolean(totalReturnSource),
+        source: totalReturnSource,
+        firstMonth: totalReturnFirstMonth,
+        hint: totalReturnSource ? null : TOTAL_RETURN_HINT
+      },
       inflation: {
         yearCount: inflation.meta.yearCount,
         firstYear: inflation.meta.firstYear,
         lastYear: inflation.meta.lastYear,
-        overallAvgRatePct: inflation.meta.overallAvgRatePct
-      }
+        overallAvgRatePct: inflation.meta.overallAvgRatePct,
+        monthCount: inflation.meta.monthCount,
+        firstMonth: inflation.meta.firstMonth,
+        lastMonth: inflation.meta.lastMonth
+      },
+      bonds: bonds
+        ? {
+            frequency: bonds.meta.frequency,
+            maturityYears: bonds.meta.maturityYears,
+            monthCount: bonds.meta.monthCount,
+            firstMonth: bonds.meta.firstMonth,
+            lastMonth: bonds.meta.lastMonth
+          }
+        : null,
+      bondsHint: bonds ? null : BONDS_HINT,
+      assets: bonds ? ["stocks", "bonds", "cash"] : ["stocks", "cash"]
     });
   });
 
+  // startYear + durationYears (whole years), or startMonth + endMonth/durationMonths (YYYY-MM)
   app.post("/api/sim/inflation", (req, res) => {
     const amount = toNumber(req.body.amount);
     const startYear = toNumber(req.body.startYear);
     const durationYears = toNumber(req.body.durationYears);
 
     try {
+      if (req.body.startMonth) {
+        const out = runInflationMonthWindow({
+          inflation,
+          amount,
+          startMonth: req.body.startMonth,
+          endMonth: req.body.endMonth,
+          durationMonths: toNumber(req.body.durationMonths)
+        });
+        return res.json(out);
+      }
+
       const out = runInflationWindow({
         inflation,
         amount,
@@ -262,11 +1268,23 @@ function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct,
     }
   });
 
+  // granularity "month" tests every start month (window: durationMonths, or durationYears * 12)
   app.post("/api/analysis/inflation-sweep", (req, res) => {
     const amount = toNumber(req.body.amount);
     const durationYears = toNumber(req.body.durationYears);
+    const granularity = req.body.granularity || "year";
+
+    if (!["year", "month"].includes(granularity)) {
+      return badRequest(res, "granularity must be year or month");
+    }
 
     try {
+      if (granularity === "month") {
+        const durationMonths = toNumber(req.body.durationMonths) || (durationYears ? durationYears * 12 : null);
+        const out = runInflationMonthSweep({ inflation, amount, durationMonths });
+        return res.json(out);
+      }
+
       const out = runInflationSweep({ inflation, amount, durationYears });
       res.json(out);
     } catch (e) {
@@ -290,13 +1308,35 @@ function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct,
       return badRequest(res, "startMonth and endMonth are required (YYYY-MM)");
     }
 
+    let returnBasis;
+    let units;
+    let portfolioOpt;
+    let fees;
+    let cashFlows;
+    try {
+      returnBasis = validateReturnBasis(req.body.returnBasis, dataset);
+      units = validateUnits(req.body.units);
+      portfolioOpt = validatePortfolioInputs(req.body);
+      fees = validateFeeInputs(req.body);
+      cashFlows = validateCashFlows(req.body.cashFlows);
+    } catch (e) {
+      return badRequest(res, e.message);
+    }
+
     try {
       const out = runDcaMonthly({
         monthly: dataset.monthly,
         initialLumpSum,
         monthlyContribution,
         startMonth,
-        endMonth
+        endMonth,
+        returnBasis,
+        ...portfolioOpt,
+        bondSeries: bonds,
+        units,
+        inflation,
+        fees,
+        cashFlows
       });
       res.json(out);
     } catch (e) {
@@ -305,145 +1345,223 @@ function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct,
   });
 
   app.post("/api/sim/retirement", (req, res) => {
-    const initialBalance = toNumber(req.body.initialBalance);
     const startMonth = req.body.startMonth;
-    const durationYears = Math.floor(toNumber(req.body.durationYears));
-    const withdrawMode = req.body.withdrawMode || "percentOfInitial";
-    const withdrawValue = toNumber(req.body.withdrawValue);
-    const withdrawFrequency = req.body.withdrawFrequency || "monthly";
 
-    if (!initialBalance || initialBalance <= 0) {
-      return badRequest(res, "initialBalance must be > 0");
+    let opts;
+    try {
+      opts = parseRetirementRequest(req.body, dataset);
+    } catch (e) {
+      return badRequest(res, e.message);
     }
     if (!startMonth) {
       return badRequest(res, "startMonth is required (YYYY-MM)");
     }
-    if (!durationYears || durationYears <= 0) {
-      return badRequest(res, "durationYears must be > 0");
+
+    try {
+      const out = runRetirementMonthly({
+        monthly: dataset.monthly,
+        startMonth,
+        ...opts,
+        bondSeries: bonds,
+        inflation
+      });
+      res.json(out);
+    } catch (e) {
+      return badRequest(res, e.message);
     }
-    if (!withdrawValue || withdrawValue <= 0) {
-      return badRequest(res, "withdrawValue must be > 0");
+  });
+
+  app.post("/api/analysis/retirement-success", (req, res) => {
+    let opts;
+    try {
+      opts = parseRetirementRequest(req.body, dataset);
+    } catch (e) {
+      return badRequest(res, e.message);
     }
-    if (!["percentOfInitial", "percentOfCurrent", "guardrails"].includes(withdrawMode)) {
-      return badRequest(
-        res,
-        "withdrawMode must be one of percentOfInitial, percentOfCurrent, guardrails"
-      );
+
+    try {
+      const out = runRetirementSuccessByStartYear({
+        monthly: dataset.monthly,
+        ...opts,
+        bondSeries: bonds,
+        inflation
+      });
+      res.json(out);
+    } catch (e) {
+      return badRequest(res, e.message);
     }
-    if (!["monthly", "annual"].includes(withdrawFrequency)) {
-      return badRequest(res, "withdrawFrequency must be monthly or annual");
+  });
+
+  app.post("/api/analysis/swr-solver", (req, res) => {
+    let opts;
+    let solverOpt;
+    try {
+      opts = parseRetirementRequestWithoutRate(req.body, dataset);
+      solverOpt = validateSwrSolverInputs(req.body, opts.initialBalance);
+    } catch (e) {
+      return badRequest(res, e.message);
     }
 
-    let guardrails = null;
-    if (withdrawMode === "guardrails") {
-      try {
-        guardrails = validateGuardrailsInputs({
-          withdrawValue,
-          guardrailsMinPct: req.body.guardrailsMinPct,
-          guardrailsMaxPct: req.body.guardrailsMaxPct,
-          guardrailsMinDollar: req.body.guardrailsMinDollar
-        });
-      } catch (e) {
-        return badRequest(res, e.message);
-      }
+    try {
+      const out = solveSafeWithdrawalRate({
+        monthly: dataset.monthly,
+        ...opts,
+        targetSuccessRatePct: solverOpt.targetSuccessRatePct,
+        minRatePct: solverOpt.minRatePct,
+        maxRatePct: solverOpt.maxRatePct,
+        tolerancePct: solverOpt.tolerancePct,
+        bondSeries: bonds,
+        inflation
+      });
+      res.json({
+        solveFor: solverOpt.solveFor,
+        targetSuccessRatePct: solverOpt.targetSuccessRatePct,
+        withdrawMode: opts.withdrawMode,
+        withdrawFrequency: opts.withdrawFrequency,
+        durationYears: opts.durationYears,
+        ...out
+      });
+    } catch (e) {
+      return badRequest(res, e.message);
     }
+  });
 
-    let inflationOpt = { annualInflationPct: 3 };
-    if (withdrawMode === "percentOfCurrent") {
-      try {
-        inflationOpt = validateInflationAdjustedOptions({
-          percentOfCurrentAnnualInflationPct: req.body.percentOfCurrentAnnualInflationPct,
-          percentOfCurrentAnnualIncreasePct: req.body.percentOfCurrentAnnualIncreasePct // backward compat
-        });
-      } catch (e) {
-        return badRequest(res, e.message);
-      }
+  app.post("/api/analysis/required-balance", (req, res) => {
+    let opts;
+    let solverOpt;
+    try {
+      // The solver picks initialBalance too
+      opts = parseRetirementRequestWithoutRate(req.body, dataset, { initialBalance: 1 });
+      solverOpt = validateRequiredBalanceInputs(req.body, opts.durationYears);
+    } catch (e) {
+      return badRequest(res, e.message);
     }
 
     try {
-      const out = runRetirementMonthly({
+      const out = solveRequiredBalance({
         monthly: dataset.monthly,
-        initialBalance,
-        startMonth,
-        durationYears,
-        withdrawMode,
-        withdrawValue,
-        withdrawFrequency,
-        guardrailsMinPct: guardrails?.minPct,
-        guardrailsMaxPct: guardrails?.maxPct,
-        guardrailsMinDollar: guardrails?.minDollar,
-        percentOfCurrentAnnualInflationPct: inflationOpt.annualInflationPct
+        ...opts,
+        ...solverOpt,
+        bondSeries: bonds,
+        inflation
+      });
+      res.json({
+        annualSpending: solverOpt.annualSpending,
+        targetSuccessRatePct: solverOpt.targetSuccessRatePct,
+        withdrawMode: opts.withdrawMode,
+        withdrawFrequency: opts.withdrawFrequency,
+        durationYears: opts.durationYears,
+        ...out
       });
-      res.json(out);
     } catch (e) {
       return badRequest(res, e.message);
     }
   });
 
-  app.post("/api/analysis/retirement-success", (req, res) => {
-    const initialBalance = toNumber(req.body.initialBalance);
-    const durationYears = Math.floor(toNumber(req.body.durationYears));
-    const withdrawMode = req.body.withdrawMode || "percentOfInitial";
-    const withdrawValue = toNumber(req.body.withdrawValue);
-    const withdrawFrequency = req.body.withdrawFrequency || "monthly";
+  app.post("/api/analysis/success-grid", (req, res) => {
+    let opts;
+    let gridOpt;
+    try {
+      // Every cell sets its own duration too
+      opts = parseRetirementRequestWithoutRate(req.body, dataset, { durationYears: req.body.minDurationYears || 20 });
+      gridOpt = validateSuccessGridInputs(req.body, opts);
+    } catch (e) {
+      return badRequest(res, e.message);
+    }
 
-    if (!initialBalance || initialBalance <= 0) {
-      return badRequest(res, "initialBalance must be > 0");
+    try {
+      const out = runSuccessGrid({
+        monthly: dataset.monthly,
+        ...opts,
+        ...gridOpt,
+        bondSeries: bonds,
+        inflation
+      });
+      res.json({ withdrawMode: opts.withdrawMode, withdrawFrequency: opts.withdrawFrequency, ...out });
+    } catch (e) {
+      return badRequest(res, e.message);
     }
-    if (!durationYears || durationYears <= 0) {
-      return badRequest(res, "durationYears must be > 0");
+  });
+
+  app.post("/api/analysis/perfect-withdrawal", (req, res) => {
+    let opts;
+    try {
+      opts = validatePerfectWithdrawalInputs(req.body, dataset);
+    } catch (e) {
+      return badRequest(res, e.message);
     }
-    if (!withdrawValue || withdrawValue <= 0) {
-      return badRequest(res, "withdrawValue must be > 0");
+
+    try {
+      const out = runPerfectWithdrawalRates({
+        monthly: dataset.monthly,
+        ...opts,
+        bondSeries: bonds,
+        inflation
+      });
+      res.json(out);
+    } catch (e) {
+      return badRequest(res, e.message);
     }
-    if (!["percentOfInitial", "percentOfCurrent", "guardrails"].includes(withdrawMode)) {
-      return badRequest(
-        res,
-        "withdrawMode must be one of percentOfInitial, percentOfCurrent, guardrails"
-      );
+  });
+
+  app.post("/api/analysis/retirement-montecarlo", (req, res) => {
+    let opts;
+    let mcOpt;
+    try {
+      opts = parseRetirementRequest(req.body, dataset);
+      mcOpt = validateMonteCarloInputs(req.body);
+    } catch (e) {
+      return badRequest(res, e.message);
+    }
+    if (opts.units === "real") {
+      return badRequest(res, "units \"real\" is only available for the historical simulations");
     }
-    if (!["monthly", "annual"].includes(withdrawFrequency)) {
-      return badRequest(res, "withdrawFrequency must be monthly or annual");
+    if (opts.cashFlows?.some((f) => f.month)) {
+      return badRequest(res, "Generated return paths have no calendar: use offsetMonths for cash flows");
     }
 
-    let guardrails = null;
-    if (withdrawMode === "guardrails") {
-      try {
-        guardrails = validateGuardrailsInputs({
-          withdrawValue,
-          guardrailsMinPct: req.body.guardrailsMinPct,
-          guardrailsMaxPct: req.body.guardrailsMaxPct,
-          guardrailsMinDollar: req.body.guardrailsMinDollar
-        });
-      } catch (e) {
-        return badRequest(res, e.message);
-      }
+    try {
+      const out = runRetirementMonteCarlo({
+        monthly: dataset.monthly,
+        ...opts,
+        ...mcOpt,
+        bondSeries: bonds,
+        inflation
+      });
+      res.json(out);
+    } catch (e) {
+      return badRequest(res, e.message);
     }
+  });
 
-    let inflationOpt = { annualInflationPct: 3 };
-    if (withdrawMode === "percentOfCurrent") {
-      try {
-        inflationOpt = validateInflationAdjustedOptions({
-          percentOfCurrentAnnualInflationPct: req.body.percentOfCurrentAnnualInflationPct,
-          percentOfCurrentAnnualIncreasePct: req.body.percentOfCurrentAnnualIncreasePct // backward compat
-        });
-      } catch (e) {
-        return badRequest(res, e.message);
-      }
+  app.post("/api/analysis/retirement-parametric", (req, res) => {
+    let opts;
+    let mcOpt;
+    let modelOpt;
+    try {
+      opts = parseRetirementRequest(req.body, dataset, { calendar: false });
+      mcOpt = validateMonteCarloInputs(req.body);
+      modelOpt = validateParametricInputs(req.body);
+    } catch (e) {
+      return badRequest(res, e.message);
+    }
+    if (opts.units === "real") {
+      return badRequest(res, "units \"real\" is only available for the historical simulations");
+    }
+    if (opts.inflationSource === "historical" || opts.incomeStreams?.some((s) => s.cola === "historical")) {
+      return badRequest(res, "Historical inflation is not available for generated return paths");
+    }
+    if (opts.cashFlows?.some((f) => f.month)) {
+      return badRequest(res, "Generated return paths have no calendar: use offsetMonths for cash flows");
     }
 
     try {
-      const out = runRetirementSuccessByStartYear({
+      const out = runRetirementParametric({
         monthly: dataset.monthly,
-        initialBalance,
-        durationYears,
-        withdrawMode,
-        withdrawValue,
-        withdrawFrequency,
-        guardrailsMinPct: guardrails?.minPct,
-        guardrailsMaxPct: guardrails?.maxPct,
-        guardrailsMinDollar: guardrails?.minDollar,
-        percentOfCurrentAnnualInflationPct: inflationOpt.annualInflationPct
+        ...opts,
+        trials: mcOpt.trials,
+        seed: mcOpt.seed,
+        ...modelOpt
       });
       res.json(out);
     } catch (e) {
@@ -462,5 +1580,15 @@ function validateInflationAdjustedOptions({ percentOfCurrentAnnualInflationPct,
     console.log(
       `Inflation years: ${inflation.meta.firstYear} → ${inflation.meta.lastYear} (${inflation.meta.yearCount}) | overall avg=${inflation.meta.overallAvgRatePct.toFixed(2)}%`
     );
+    if (!dataset.meta.totalReturnSource) {
+      console.log(`Total returns unavailable: ${TOTAL_RETURN_HINT}`);
+    }
+    if (bonds) {
+      console.log(
+        `Loaded Bond yields CSV: ${BOND_YIELDS_CSV} (${bonds.meta.frequency}, ${bonds.meta.firstMonth} → ${bonds.meta.lastMonth}, ${bonds.meta.maturityYears}y par bond)`
+      );
+    } else {
+      console.log(`Bonds unavailable: ${BONDS_HINT}`);
+    }
   });
 })();
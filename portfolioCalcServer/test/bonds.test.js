@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { loadBondReturnsFromCsv } = require("../lib/bondLoader");
+const { startServer } = require("./helpers");
+
+const YIELDS_CSV = path.join(__dirname, "fixtures", "treasury_yields.csv");
+
+let server;
+test.before(async () => {
+  server = await startServer({ BOND_YIELDS_CSV: YIELDS_CSV });
+});
+test.after(() => server.stop());
+
+test("a month's bond return is a month of coupon plus the duration-based price change", () => {
+  const bonds = loadBondReturnsFromCsv(YIELDS_CSV, { maturityYears: 10 });
+  assert.equal(bonds.meta.firstMonth, "1970-02");
+  assert.equal(bonds.meta.lastMonth, "1972-12");
+
+  // 7% -> 8%: coupon 0.07 / 12, duration (1 - 1.035^-20) / 0.07 = 7.1062 for a 1 point rise
+  const feb = bonds.byMonth.get("1970-02");
+  assert.ok(Math.abs(feb.monthlyReturn - -0.0652287) < 1e-7, String(feb.monthlyReturn));
+
+  // Months between two rows follow the linearly interpolated yield
+  assert.ok(Math.abs(bonds.byMonth.get("1970-07").yieldPct - (8 - 2 * (5 / 11))) < 1e-12);
+});
+
+test("a stocks/bonds allocation drifts and is put back to target on the rebalance month", async () => {
+  const { body: meta } = await server.get("/api/meta");
+  assert.deepEqual(meta.assets, ["stocks", "bonds", "cash"]);
+
+  const run = async (rebalance) => {
+    const { status, body } = await server.post("/api/sim/dca", {
+      initialLumpSum: 100000,
+      monthlyContribution: 1,
+      startMonth: "1970-02",
+      endMonth: "1972-12",
+      allocation: { stocks: 60, bonds: 40 },
+      rebalance
+    });
+    assert.equal(status, 200, body.error);
+    return body;
+  };
+  const stockShare = (row) => row.balances.stocks / row.value;
+
+  const annual = await run("annual");
+  const none = await run("none");
+  const drifted = (out) => out.series.some((s) => Math.abs(stockShare(s) - 0.6) > 0.01);
+
+  assert.ok(drifted(none));
+  assert.ok(drifted(annual));
+  for (const s of annual.series.filter((row) => row.month.endsWith("-01"))) {
+    assert.ok(Math.abs(stockShare(s) - 0.6) < 1e-12, s.month);
+  }
+  assert.notEqual(annual.endingValue, none.endingValue);
+});
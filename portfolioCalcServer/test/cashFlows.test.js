@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+// An indexed flow is in start-date dollars, so in real units it shows at its face amount
+test("indexed cash flows keep their start-date value in real units (retirement)", async () => {
+  const { status, body } = await server.post("/api/sim/retirement", {
+    initialBalance: 1000000,
+    durationYears: 10,
+    withdrawValue: 4,
+    startMonth: "1973-01",
+    withdrawMode: "percentOfCurrent",
+    units: "real",
+    inflationSource: "historical",
+    cashFlows: [
+      { name: "Roof", amount: -15000, month: "1975-06", indexed: true },
+      { name: "Gift", amount: 5000, offsetMonths: 0, indexed: true }
+    ]
+  });
+  assert.equal(status, 200, body.error);
+  close(body.series.find((s) => s.month === "1975-06").cashFlow, -15000);
+  close(body.series[0].cashFlow, 5000);
+  close(body.netCashFlows, -10000);
+});
+
+test("indexed cash flows keep their start-date value in real units (DCA)", async () => {
+  const { status, body } = await server.post("/api/sim/dca", {
+    monthlyContribution: 500,
+    startMonth: "1973-01",
+    endMonth: "1980-12",
+    units: "real",
+    cashFlows: [{ name: "Tuition", amount: -15000, month: "1979-09", indexed: true }]
+  });
+  assert.equal(status, 200, body.error);
+  close(body.series.find((s) => s.month === "1979-09").cashFlow, -15000);
+});
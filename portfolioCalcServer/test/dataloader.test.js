@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { loadDailyCsvAndBuildMonthly } = require("../lib/dataloader");
+const { buildAssetReturns } = require("../lib/simulations");
+
+const fixture = (name) => path.join(__dirname, "fixtures", name);
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+async function returnsByBasis(csv, options) {
+  const { monthly, meta } = await loadDailyCsvAndBuildMonthly(fixture(csv), options);
+  return {
+    meta,
+    price: buildAssetReturns(monthly, { returnBasis: "price" }).stocks,
+    total: buildAssetReturns(monthly, { returnBasis: "total" }).stocks
+  };
+}
+
+test("price-only data has no total-return series", async () => {
+  const { meta } = await returnsByBasis("sp500_prices.csv");
+  assert.equal(meta.totalReturnSource, null);
+  assert.equal(meta.totalReturnFirstMonth, null);
+});
+
+test("dividend-yield CSV: total return beats price return by a twelfth of the yield", async () => {
+  const { meta, price, total } = await returnsByBasis("sp500_prices.csv", {
+    dividendYieldCsvPath: fixture("dividend_yield.csv")
+  });
+  assert.equal(meta.totalReturnSource, "dividendYieldCsv");
+  assert.equal(meta.totalReturnFirstMonth, "2000-02");
+
+  close(price[1], 0.02);
+  close(total[1] - price[1], 0.036 / 12);
+  close(total[2] - price[2], 0.024 / 12);
+  // April has no row of its own and carries March's yield forward
+  close(total[3] - price[3], 0.024 / 12);
+});
+
+test("dividend column: dividends are reinvested at the day's close", async () => {
+  const { meta, price, total } = await returnsByBasis("sp500_dividends.csv");
+  assert.equal(meta.totalReturnSource, "dividends");
+
+  // 0.5 paid on 2000-02-15 against a 100 close, then carried by the rest of the month's move
+  close(total[1] - price[1], (0.5 / 100) * (102 / 104));
+  close(total[2], price[2]);
+});
+
+test("adjusted close column takes precedence as the total-return level", async () => {
+  const { meta, price, total } = await returnsByBasis("sp500_adjclose.csv", {
+    dividendYieldCsvPath: fixture("dividend_yield.csv")
+  });
+  assert.equal(meta.totalReturnSource, "adjClose");
+  close(total[1], 51.5 / 50 - 1);
+  close(total[1] - price[1], 0.01);
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createPortfolio } = require("../lib/portfolio");
+const { createFeeTracker, chargeFees, summarizeFees } = require("../lib/fees");
+const { startServer } = require("./helpers");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+const close = (actual, expected, tol = 1e-6) => assert.ok(Math.abs(actual - expected) < tol, `${actual} != ${expected}`);
+
+test("a month's fees: a twelfth of each annual rate, plus the flat fee in January", () => {
+  const tracker = createFeeTracker({ expenseRatioPct: 1, aumFeePct: 0.5, flatAnnualFee: 200 });
+  const portfolio = createPortfolio({ stocks: 0.5, cash: 0.5 }, 120000);
+
+  assert.equal(chargeFees(tracker, portfolio, { year: 2000, calendarMonth: 1 }), 100 + 50 + 200);
+  assert.equal(portfolio.balances.stocks, portfolio.balances.cash);
+  chargeFees(tracker, portfolio, { year: 2000, calendarMonth: 2, cpi: 2 });
+
+  const [year] = summarizeFees(tracker).years;
+  assert.equal(year.flatFees, 200);
+  close(year.totalFees, year.expenseRatioFees + year.aumFees + year.flatFees);
+  // February's fees are reported in start-date dollars (cpi 2)
+  close(year.expenseRatioFees, 100 + (119650 * 0.01) / 12 / 2);
+});
+
+test("DCA fee totals add up across years", async () => {
+  // DCA needs a contribution; a negligible one leaves the lump sum to carry the run
+  const plan = { initialLumpSum: 100000, monthlyContribution: 1e-9, startMonth: "1970-01", endMonth: "1972-12" };
+  const run = async (extra) => {
+    const { status, body } = await server.post("/api/sim/dca", { ...plan, ...extra });
+    assert.equal(status, 200, body.error);
+    return body;
+  };
+
+  const free = await run({});
+  assert.equal(free.fees, null);
+
+  const flat = await run({ flatAnnualFee: 100 });
+  assert.deepEqual(flat.fees.years.map((y) => [y.year, y.flatFees]), [[1970, 100], [1971, 100], [1972, 100]]);
+  assert.equal(flat.fees.totalFeesPaid, 300);
+
+  // An expense ratio alone scales the balance by (1 - 1% / 12) every month
+  const er = await run({ expenseRatioPct: 1 });
+  close(er.endingValue / free.endingValue, (1 - 0.01 / 12) ** 36, 1e-9);
+  const sum = er.fees.years.reduce((a, y) => a + y.totalFees, 0);
+  close(er.fees.totalFeesPaid, sum);
+});
+
+test("retirement runs report fees and reject bad fee inputs", async () => {
+  const plan = { initialBalance: 1000000, durationYears: 5, withdrawValue: 4, startMonth: "1990-01" };
+  const { status, body } = await server.post("/api/sim/retirement", { ...plan, aumFeePct: 1 });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.fees.years.length, 5);
+  assert.ok(body.fees.totalFeesPaid > 5 * 0.01 * 900000);
+
+  const bad = await server.post("/api/sim/retirement", { ...plan, aumFeePct: 20 });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /aumFeePct/);
+});
@@ -0,0 +1,110 @@
+// Guardrails triggers, step and evaluation apply to every retirement endpoint: the
+// analysis endpoints accept requests without them, honour them, and reject bad values.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const GUARDRAILS = {
+  initialBalance: 1000000,
+  durationYears: 30,
+  withdrawMode: "guardrails",
+  withdrawValue: 4.5,
+  guardrailsMinPct: 3,
+  guardrailsMaxPct: 6
+};
+
+const ANALYSES = {
+  "/api/analysis/retirement-success": {},
+  "/api/analysis/retirement-montecarlo": { trials: 40, seed: 3 },
+  "/api/analysis/retirement-parametric": { trials: 40, seed: 3 },
+  "/api/analysis/swr-solver": { targetSuccessRatePct: 90 },
+  "/api/analysis/required-balance": { annualSpending: 40000, sensitivityDurations: [30] },
+  "/api/analysis/success-grid": { minRatePct: 4, maxRatePct: 5, rateStepPct: 1, minDurationYears: 30, maxDurationYears: 30 }
+};
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+for (const [endpoint, extra] of Object.entries(ANALYSES)) {
+  test(`${endpoint}: default guardrails policy when the tuning fields are left out`, async () => {
+    const { status, body } = await server.post(endpoint, { ...GUARDRAILS, ...extra });
+    assert.equal(status, 200, body.error);
+  });
+
+  test(`${endpoint}: rejects invalid guardrails tuning`, async () => {
+    const evaluation = await server.post(endpoint, { ...GUARDRAILS, ...extra, guardrailsEvaluation: "weekly" });
+    assert.equal(evaluation.status, 400);
+    assert.match(evaluation.body.error, /guardrailsEvaluation/);
+
+    const triggers = await server.post(endpoint, {
+      ...GUARDRAILS,
+      ...extra,
+      guardrailsUpperTriggerPct: 2,
+      guardrailsLowerTriggerPct: 5
+    });
+    assert.equal(triggers.status, 400);
+    assert.match(triggers.body.error, /lower trigger/);
+
+    const step = await server.post(endpoint, { ...GUARDRAILS, ...extra, guardrailsStepPct: 0 });
+    assert.equal(step.status, 400);
+  });
+}
+
+test("Monte Carlo trials use the tuned step", async () => {
+  const run = (tuning) =>
+    server.post("/api/analysis/retirement-montecarlo", { ...GUARDRAILS, trials: 40, seed: 3, ...tuning });
+  const defaults = await run({});
+  const bigSteps = await run({ guardrailsStepPct: 1 });
+  assert.equal(bigSteps.status, 200, bigSteps.body.error);
+  assert.notEqual(bigSteps.body.summary.averageEndingBalance, defaults.body.summary.averageEndingBalance);
+});
+
+test("success-grid cells use the tuned policy like the start-year analysis", async () => {
+  const tuning = { guardrailsEvaluation: "annual", guardrailsUpperTriggerPct: 10, guardrailsStepPct: 0.5 };
+  const grid = await server.post("/api/analysis/success-grid", {
+    ...GUARDRAILS,
+    ...ANALYSES["/api/analysis/success-grid"],
+    ...tuning
+  });
+  assert.equal(grid.status, 200, grid.body.error);
+
+  const single = await server.post("/api/analysis/retirement-success", { ...GUARDRAILS, withdrawValue: 5, ...tuning });
+  assert.equal(single.status, 200, single.body.error);
+  assert.equal(grid.body.cells[1][0].medianEndingBalance, single.body.summary.medianEndingBalance);
+});
+
+test("annual evaluation steps the rate once a year on the prior year's return", async () => {
+  const { status, body } = await server.post("/api/sim/retirement", {
+    ...GUARDRAILS,
+    durationYears: 15,
+    startMonth: "1970-01",
+    withdrawFrequency: "monthly",
+    guardrailsMinPct: 0.5,
+    guardrailsMaxPct: 20,
+    guardrailsEvaluation: "annual",
+    guardrailsUpperTriggerPct: 10,
+    guardrailsLowerTriggerPct: 0,
+    guardrailsStepPct: 1
+  });
+  assert.equal(status, 200, body.error);
+
+  const { series } = body;
+  // Year-end balances; 1969 stands for the run's starting balance
+  const december = (year) => (year === 1969 ? GUARDRAILS.initialBalance : series.find((s) => s.month === `${year}-12`).value);
+  let rate = GUARDRAILS.withdrawValue;
+  let moves = 0;
+  for (const s of series) {
+    const year = Number(s.month.slice(0, 4));
+    if (s.month.endsWith("-01") && year > 1970) {
+      const priorYearReturn = december(year - 1) / december(year - 2) - 1;
+      const step = priorYearReturn > 0.1 ? 1 : priorYearReturn < 0 ? -1 : 0;
+      rate += step;
+      if (step) moves++;
+    }
+    assert.ok(Math.abs(s.guardrailsRatePct - rate) < 1e-9, s.month);
+  }
+  assert.ok(moves >= 5);
+});
@@ -0,0 +1,84 @@
+// Replays the Guyton-Klinger decisions from each run's own series and checks that every
+// year's rules and spending follow: annual withdrawals each January, 3% fixed inflation.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const PLAN = {
+  initialBalance: 1000000,
+  durationYears: 30,
+  withdrawMode: "guytonKlinger",
+  withdrawValue: 5,
+  withdrawFrequency: "annual"
+};
+const INITIAL_RATE = 0.05;
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+function replay(series) {
+  const januaries = series.filter((s) => s.month.endsWith("-01"));
+  const fired = [];
+  let spending = januaries[0].withdrawal;
+  assert.equal(spending, PLAN.initialBalance * INITIAL_RATE);
+  assert.equal(januaries[0].gkRules, null);
+
+  for (let k = 1; k < januaries.length; k++) {
+    const prev = januaries[k - 1];
+    const jan = januaries[k];
+    if (!(prev.value > 0)) break;
+
+    // Balance before this January's withdrawal, and the market's growth since the last one
+    const balance = jan.value + jan.withdrawal;
+    const growth = balance / prev.value;
+
+    const rules = [];
+    if (growth < 1 && spending / balance > INITIAL_RATE) {
+      rules.push("inflationFreeze");
+    } else {
+      spending *= 1.03;
+      rules.push("inflation");
+    }
+    const rate = spending / balance;
+    if (rate > INITIAL_RATE * 1.2) {
+      if (PLAN.durationYears - k > 15) {
+        spending *= 0.9;
+        rules.push("capitalPreservation");
+      } else {
+        rules.push("sunset");
+      }
+    } else if (rate < INITIAL_RATE * 0.8) {
+      spending *= 1.1;
+      rules.push("prosperity");
+    }
+
+    assert.deepEqual(jan.gkRules, rules, jan.month);
+    if (jan.value > 0) assert.ok(Math.abs(jan.withdrawal - spending) < 1e-6 * spending, jan.month);
+    fired.push(...rules);
+  }
+  return fired;
+}
+
+test("every year's rules and spending follow from the year's market and withdrawal rate", async () => {
+  const fired = new Set();
+  for (let year = 1929; year <= 1990; year++) {
+    const { status, body } = await server.post("/api/sim/retirement", { ...PLAN, startMonth: `${year}-01` });
+    assert.equal(status, 200, body.error);
+    for (const rule of replay(body.series)) fired.add(rule);
+  }
+  assert.deepEqual([...fired].sort(), ["capitalPreservation", "inflation", "inflationFreeze", "prosperity", "sunset"]);
+});
+
+test("the freeze after a loss can be switched off", async () => {
+  const run = (extra) => server.post("/api/sim/retirement", { ...PLAN, startMonth: "1973-01", ...extra });
+  const frozen = await run({});
+  const indexed = await run({ gkFreezeAfterLoss: false });
+  assert.equal(indexed.status, 200, indexed.body.error);
+
+  const rules = (out) => out.body.series.flatMap((s) => s.gkRules || []);
+  assert.ok(rules(frozen).includes("inflationFreeze"));
+  assert.ok(!rules(indexed).includes("inflationFreeze"));
+});
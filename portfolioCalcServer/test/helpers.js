@@ -0,0 +1,69 @@
+// Runs server.js on a free port for the HTTP tests. The optional dividend and bond files
+// point at a path that does not exist, so results only depend on the bundled CSVs.
+const { spawn } = require("node:child_process");
+const net = require("node:net");
+const path = require("node:path");
+
+const MISSING_CSV = path.join(__dirname, "no-such-file.csv");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on("error", reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DIVIDEND_YIELD_CSV: MISSING_CSV,
+      BOND_YIELDS_CSV: MISSING_CSV,
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server running")) resolve();
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", (code) => reject(new Error(`server.js exited with ${code}:\n${output}`)));
+  });
+
+  const base = `http://localhost:${port}`;
+
+  async function post(urlPath, body) {
+    const res = await fetch(base + urlPath, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function get(urlPath) {
+    const res = await fetch(base + urlPath);
+    return { status: res.status, body: await res.json() };
+  }
+
+  function stop() {
+    child.removeAllListeners("exit");
+    child.kill();
+  }
+
+  return { post, get, stop };
+}
+
+module.exports = { startServer };
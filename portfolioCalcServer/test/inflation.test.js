@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { loadInflationAnnualFromCsv } = require("../lib/inflationLoader");
+const { startServer } = require("./helpers");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+test("the loader keeps each month's CPI rate", () => {
+  const inflation = loadInflationAnnualFromCsv(path.join(__dirname, "..", "data", "us_inflation.csv"));
+  // 1914: Jan 2, Feb 1, Mar 1, Apr 0, May 2.1 (year-over-year %)
+  assert.deepEqual(
+    ["1914-01", "1914-02", "1914-04", "1914-05"].map((m) => inflation.byMonth.get(m).ratePct),
+    [2, 1, 0, 2.1]
+  );
+  assert.equal(inflation.meta.firstMonth, "1914-01");
+  assert.equal(inflation.meta.monthCount, inflation.monthly.length);
+});
+
+test("/api/meta reports the monthly CPI range", async () => {
+  const { body } = await server.get("/api/meta");
+  assert.equal(body.inflation.firstMonth, "1914-01");
+  assert.ok(body.inflation.monthCount >= 12 * (body.inflation.yearCount - 1));
+});
+
+test("an inflation window can start and end mid-year", async () => {
+  const { status, body } = await server.post("/api/sim/inflation", {
+    amount: 100,
+    startMonth: "1914-03",
+    endMonth: "1914-05"
+  });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.durationMonths, 3);
+  assert.deepEqual(body.series.map((s) => s.inflationPct), [1, 0, 2.1]);
+  // Each month compounds a twelfth of its year-over-year rate
+  close(body.cumulativeInflationFactor, 1.01 ** (1 / 12) * 1.021 ** (1 / 12));
+
+  const byDuration = await server.post("/api/sim/inflation", { amount: 100, startMonth: "1914-03", durationMonths: 3 });
+  assert.deepEqual(byDuration.body, body);
+
+  const outside = await server.post("/api/sim/inflation", { amount: 100, startMonth: "1913-12", endMonth: "1914-02" });
+  assert.equal(outside.status, 400);
+});
+
+test("the month sweep tests every start month against the same windows", async () => {
+  const { status, body } = await server.post("/api/analysis/inflation-sweep", {
+    amount: 100,
+    granularity: "month",
+    durationMonths: 3
+  });
+  assert.equal(status, 200, body.error);
+  const { body: meta } = await server.get("/api/meta");
+  assert.equal(body.summary.startMonthsTested, meta.inflation.monthCount - 2);
+  assert.equal(body.results[0].startMonth, "1914-01");
+
+  const march = body.results.find((r) => r.startMonth === "1914-03");
+  assert.equal(march.endMonth, "1914-05");
+  close(march.cumulativeFactor, 1.01 ** (1 / 12) * 1.021 ** (1 / 12));
+  close(march.avgInflationPct, 3.1 / 3);
+
+  const bad = await server.post("/api/analysis/inflation-sweep", { amount: 100, granularity: "week", durationMonths: 3 });
+  assert.equal(bad.status, 400);
+});
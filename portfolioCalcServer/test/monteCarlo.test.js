@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const PLAN = { initialBalance: 1000000, durationYears: 30, withdrawValue: 4, trials: 50, seed: 7 };
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+for (const endpoint of ["/api/analysis/retirement-montecarlo", "/api/analysis/retirement-parametric"]) {
+  test(`${endpoint}: account buckets are taxed in every trial`, async () => {
+    const untaxed = await server.post(endpoint, PLAN);
+    assert.equal(untaxed.status, 200, untaxed.body.error);
+    assert.equal(untaxed.body.summary.taxes, null);
+
+    const taxed = await server.post(endpoint, {
+      ...PLAN,
+      accounts: { taxDeferred: 100 },
+      withdrawalOrder: "proportional"
+    });
+    assert.equal(taxed.status, 200, taxed.body.error);
+    const { taxes } = taxed.body.summary;
+    assert.ok(taxes.medianTotalFederalTax > 0);
+    assert.ok(taxes.medianTotalAfterTaxSpending > 0);
+  });
+}
+
+test("bootstrap trials are reproducible from the seed", async () => {
+  const run = (extra) => server.post("/api/analysis/retirement-montecarlo", { ...PLAN, ...extra });
+  const first = await run({});
+  const again = await run({});
+  assert.equal(first.status, 200, first.body.error);
+  assert.deepEqual(again.body.summary, first.body.summary);
+  assert.equal(first.body.method, "block");
+  assert.equal(first.body.blockLengthMonths, 12);
+
+  assert.notDeepEqual((await run({ seed: 8 })).body.summary, first.body.summary);
+  assert.notDeepEqual((await run({ method: "iid" })).body.summary, first.body.summary);
+  assert.notDeepEqual((await run({ blockLengthMonths: 60 })).body.summary, first.body.summary);
+});
+
+test("bootstrap summary: every trial is a success or fails in exactly one year", async () => {
+  const { body } = await server.post("/api/analysis/retirement-montecarlo", { ...PLAN, withdrawValue: 6 });
+  const { summary } = body;
+  assert.equal(summary.trials, PLAN.trials);
+  assert.equal(summary.failureYears.length, PLAN.durationYears);
+
+  const failures = summary.failureYears.reduce((sum, y) => sum + y.failures, 0);
+  assert.ok(failures > 0);
+  assert.equal(summary.successes + failures, PLAN.trials);
+  assert.ok(Math.abs(summary.failureYears.at(-1).cumulativeFailureRate - (1 - summary.successRate)) < 1e-12);
+
+  const p = summary.endingBalancePercentiles;
+  assert.ok(p.p5 <= p.p25 && p.p25 <= p.p50 && p.p50 <= p.p75 && p.p75 <= p.p95);
+});
+
+for (const model of ["lognormal", "studentT", "regimeSwitching"]) {
+  test(`parametric ${model} trials are reproducible from the seed`, async () => {
+    const run = (seed) => server.post("/api/analysis/retirement-parametric", { ...PLAN, model, seed });
+    const first = await run(7);
+    const again = await run(7);
+    assert.equal(first.status, 200, first.body.error);
+    assert.equal(first.body.model, model);
+    assert.deepEqual(again.body.summary, first.body.summary);
+    assert.notDeepEqual((await run(8)).body.summary, first.body.summary);
+  });
+}
+
+test("parametric overrides replace the fitted mean and volatility", async () => {
+  const run = (extra) => server.post("/api/analysis/retirement-parametric", { ...PLAN, ...extra });
+  const fitted = await run({});
+  const tuned = await run({ meanAnnualPct: 2, volAnnualPct: 10 });
+  assert.equal(tuned.status, 200, tuned.body.error);
+
+  assert.deepEqual(tuned.body.fittedParameters, fitted.body.fittedParameters);
+  assert.deepEqual(tuned.body.overrides, { meanAnnualPct: 2, volAnnualPct: 10 });
+  assert.ok(Math.abs(tuned.body.parameters.meanAnnualPct - 2) < 1e-9);
+  assert.ok(Math.abs(tuned.body.parameters.volAnnualPct - 10) < 1e-9);
+  assert.ok(tuned.body.summary.successRate < fitted.body.summary.successRate);
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+const PWR = { minDurationYears: 10, maxDurationYears: 10, inflationSource: "fixed" };
+
+async function perfectRate(extra) {
+  const { status, body } = await server.post("/api/analysis/perfect-withdrawal", { ...PWR, ...extra });
+  assert.equal(status, 200, body.error);
+  return body;
+}
+
+test("spending the perfect rate leaves exactly the target ending balance", async () => {
+  for (const targetEndingBalancePct of [0, 50]) {
+    const out = await perfectRate({ targetEndingBalancePct });
+    const rate = out.matrix[out.startYears.indexOf(1970)][0];
+
+    const { status, body } = await server.post("/api/sim/retirement", {
+      initialBalance: 1000000,
+      durationYears: 10,
+      startMonth: "1970-01",
+      withdrawMode: "percentOfCurrent",
+      withdrawValue: rate,
+      inflationSource: "fixed"
+    });
+    assert.equal(status, 200, body.error);
+    const expected = 1000000 * (targetEndingBalancePct / 100) * 1.03 ** 10;
+    assert.ok(Math.abs(body.endingValue - expected) < 1e-3, `${targetEndingBalancePct}: ${body.endingValue}`);
+  }
+});
+
+test("only January starts and monthly rebalancing are supported, and the response says so", async () => {
+  const out = await perfectRate({ startCadence: "annual", rebalance: "monthly" });
+  assert.equal(out.startCadence, "annual");
+  assert.equal(out.rebalance, "monthly");
+
+  for (const startCadence of ["quarterly", "monthly"]) {
+    const { status, body } = await server.post("/api/analysis/perfect-withdrawal", { ...PWR, startCadence });
+    assert.equal(status, 400);
+    assert.match(body.error, /startCadence/);
+  }
+  for (const rebalance of ["none", "annual", "threshold"]) {
+    const { status, body } = await server.post("/api/analysis/perfect-withdrawal", { ...PWR, rebalance });
+    assert.equal(status, 400);
+    assert.match(body.error, /rebalance/);
+  }
+});
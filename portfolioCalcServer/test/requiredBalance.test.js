@@ -0,0 +1,43 @@
+// The solvers' answers fed back into the start-year analysis must land on the right side
+// of the target: the solved value meets it, the first failing value tried does not.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const PLAN = { durationYears: 30, withdrawMode: "percentOfInitial", inflationSource: "historical" };
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+async function successRate(body) {
+  const { status, body: out } = await server.post("/api/analysis/retirement-success", { ...PLAN, ...body });
+  assert.equal(status, 200, out.error);
+  return out.summary.successRate * 100;
+}
+
+test("required-balance: the solved balance meets the target and the first failing balance does not", async () => {
+  const target = 95;
+  const annualSpending = 40000;
+  const { status, body } = await server.post("/api/analysis/required-balance", {
+    ...PLAN,
+    annualSpending,
+    targetSuccessRatePct: target,
+    sensitivityDurations: [20]
+  });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.solved, true);
+  assert.ok(body.firstFailingBalance < body.requiredBalance);
+  assert.ok(body.requiredBalance - body.firstFailingBalance <= 1000 + 1e-6);
+
+  const at = (balance) => successRate({ initialBalance: balance, withdrawValue: (annualSpending / balance) * 100 });
+  assert.ok((await at(body.requiredBalance)) >= target);
+  assert.ok((await at(body.firstFailingBalance)) < target);
+
+  // A shorter retirement never needs more money
+  const twenty = body.durationSensitivity.find((d) => d.durationYears === 20);
+  assert.ok(twenty.solved);
+  assert.ok(twenty.requiredBalance <= body.requiredBalance);
+});
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+async function simulate(body) {
+  const { status, body: out } = await server.post("/api/sim/retirement", {
+    initialBalance: 1000000,
+    durationYears: 3,
+    withdrawValue: 4,
+    startMonth: "1970-01",
+    ...body
+  });
+  assert.equal(status, 200, out.error);
+  return out;
+}
+
+test("annual withdrawals net the whole year's income, not just the withdrawal month's", async () => {
+  const incomeStreams = [{ monthlyAmount: 2000 }];
+  const annual = await simulate({ withdrawFrequency: "annual", incomeStreams });
+
+  const jan = annual.series[0];
+  assert.equal(jan.withdrawal, 40000);
+  assert.equal(jan.incomeApplied, 24000);
+  assert.equal(jan.portfolioDraw, 16000);
+  assert.equal(jan.income, 2000);
+
+  assert.ok(annual.series.slice(1, 12).every((s) => s.withdrawal === 0 && s.portfolioDraw === 0));
+  assert.ok(Math.abs(annual.totalWithdrawn - 3 * 16000) < 1e-6);
+  assert.equal(annual.totalIncome, 3 * 24000);
+
+  // The rest of the year's income is already spent, so none of it is reinvested: the
+  // portfolio ends where a plain 16000 a year withdrawal leaves it
+  const net = await simulate({ withdrawFrequency: "annual", withdrawValue: 1.6 });
+  assert.ok(Math.abs(annual.endingValue - net.endingValue) < 1e-6);
+
+  // Same spending and income, paid monthly: the portfolio funds the same total
+  const monthly = await simulate({ withdrawFrequency: "monthly", incomeStreams });
+  assert.ok(Math.abs(monthly.totalWithdrawn - annual.totalWithdrawn) < 1e-6);
+});
+
+test("annual withdrawals reinvest income beyond the year's spending as it arrives", async () => {
+  const out = await simulate({ withdrawFrequency: "annual", incomeStreams: [{ monthlyAmount: 5000 }] });
+  assert.equal(out.totalWithdrawn, 0);
+  assert.equal(out.series[0].incomeApplied, 40000);
+
+  // Income that exactly covers the spending leaves nothing to reinvest
+  const exact = await simulate({ withdrawFrequency: "annual", incomeStreams: [{ monthlyAmount: 40000 / 12 }] });
+  assert.equal(exact.totalWithdrawn, 0);
+  assert.ok(out.endingValue > exact.endingValue);
+});
+
+test("drawdown cuts measure the drawdown in real terms, so inflation cannot hide it", async () => {
+  const out = await simulate({
+    startMonth: "1977-01",
+    durationYears: 10,
+    withdrawMode: "drawdownCuts",
+    inflationSource: "historical"
+  });
+
+  // Late-1970s inflation: spending is cut while the nominal balance sits within 10% of its
+  // nominal peak, half the smallest tier's 20% drawdown
+  let nominalPeak = 0;
+  const hidden = out.series.filter((s) => {
+    nominalPeak = Math.max(nominalPeak, s.value);
+    return s.spendingCutPct > 0 && 1 - s.value / nominalPeak < 0.1;
+  });
+  assert.ok(hidden.length > 0);
+});
+
+test("historical inflation indexes spending by the CPI actually lived through", async () => {
+  const plan = { withdrawMode: "percentOfCurrent", withdrawFrequency: "annual", startMonth: "1973-01" };
+  const historical = await simulate({ ...plan, inflationSource: "historical" });
+  const fixed = await simulate(plan);
+  assert.equal(historical.inflationSource, "historical");
+  assert.equal(fixed.inflationSource, "fixed");
+
+  const { status, body: cpi } = await server.post("/api/sim/inflation", {
+    amount: 40000,
+    startMonth: "1973-01",
+    endMonth: "1974-12"
+  });
+  assert.equal(status, 200, cpi.error);
+  const factorThrough = (month) => cpi.series.find((s) => s.month === month).futureEquivalent;
+  const paid = (out, month) => out.series.find((s) => s.month === month).withdrawal;
+
+  // Each January pays the first year's spending grown by the CPI up to the December before
+  assert.equal(paid(historical, "1973-01"), 40000);
+  assert.ok(Math.abs(paid(historical, "1974-01") - factorThrough("1973-12")) < 1e-6);
+  assert.ok(Math.abs(paid(historical, "1975-01") - factorThrough("1974-12")) < 1e-6);
+
+  // The default flat 3% misses the 1973-74 shock
+  assert.ok(Math.abs(paid(fixed, "1975-01") - 40000 * 1.03 ** 2) < 1e-6);
+  assert.ok(paid(historical, "1975-01") > paid(fixed, "1975-01") * 1.1);
+});
+
+test("annual withdrawals and decisions fall on the start's anniversary, not in January", async () => {
+  const out = await simulate({ startMonth: "1987-10", withdrawFrequency: "annual" });
+  const paid = out.series.filter((s) => s.withdrawal > 0).map((s) => [s.month, s.withdrawal]);
+  assert.deepEqual(paid, [
+    ["1987-10", 40000],
+    ["1988-10", 40000],
+    ["1989-10", 40000]
+  ]);
+
+  // Annual guardrails step only at the first month of each run year
+  const guardrails = await simulate({
+    startMonth: "1987-10",
+    durationYears: 10,
+    withdrawFrequency: "monthly",
+    withdrawMode: "guardrails",
+    withdrawValue: 4.5,
+    guardrailsMinPct: 0.5,
+    guardrailsMaxPct: 20,
+    guardrailsEvaluation: "annual",
+    guardrailsStepPct: 1
+  });
+  const moves = guardrails.series.filter((s, i) => i > 0 && s.guardrailsRatePct !== guardrails.series[i - 1].guardrailsRatePct);
+  assert.ok(moves.length > 0);
+  assert.ok(moves.every((s) => s.month.endsWith("-10")));
+
+  // A quarterly start in the analysis runs the same path as the single simulation
+  const { status, body } = await server.post("/api/analysis/retirement-success", {
+    initialBalance: 1000000,
+    durationYears: 3,
+    withdrawValue: 4,
+    withdrawFrequency: "annual",
+    startCadence: "quarterly"
+  });
+  assert.equal(status, 200, body.error);
+  const october = body.results.find((r) => r.startMonth === "1987-10");
+  assert.ok(Math.abs(october.endingBalance - out.endingValue) < 1e-6);
+});
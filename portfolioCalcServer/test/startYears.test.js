@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const PLAN = { initialBalance: 1000000, durationYears: 30, withdrawValue: 4 };
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+async function successByStart(startCadence) {
+  const { status, body } = await server.post("/api/analysis/retirement-success", { ...PLAN, startCadence });
+  assert.equal(status, 200, body.error);
+  return body;
+}
+
+// The first loaded month (1927-12) has no prior close to take a return from
+test("no cadence starts a run on the first loaded month", async () => {
+  const { body: meta } = await server.get("/api/meta");
+  for (const cadence of ["annual", "quarterly", "monthly"]) {
+    const out = await successByStart(cadence);
+    assert.ok(out.results.every((r) => r.startMonth !== meta.firstMonth), cadence);
+  }
+  assert.equal((await successByStart("monthly")).results[0].startMonth, "1928-01");
+});
+
+test("summary counts starts and start years separately at every cadence", async () => {
+  const annual = await successByStart("annual");
+  const quarterly = await successByStart("quarterly");
+  const monthly = await successByStart("monthly");
+
+  assert.equal(annual.summary.startCadence, "annual");
+  assert.equal(annual.summary.totalStartsTested, annual.results.length);
+  assert.equal(annual.summary.totalStartYearsTested, annual.results.length);
+
+  for (const out of [quarterly, monthly]) {
+    assert.equal(out.summary.startCadence, out.startCadence);
+    assert.equal(out.summary.totalStartsTested, out.results.length);
+    assert.equal(out.summary.totalStartYearsTested, new Set(out.results.map((r) => r.startYear)).size);
+    assert.ok(out.summary.totalStartsTested > out.summary.totalStartYearsTested);
+  }
+  // The finer cadences cover the same years (plus a final partial one)
+  assert.ok(monthly.summary.totalStartYearsTested - annual.summary.totalStartYearsTested <= 1);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const PLAN = { durationYears: 30, withdrawMode: "percentOfInitial", inflationSource: "historical" };
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+async function successRate(body) {
+  const { status, body: out } = await server.post("/api/analysis/retirement-success", { ...PLAN, ...body });
+  assert.equal(status, 200, out.error);
+  return out.summary.successRate * 100;
+}
+
+test("success-grid: each cell matches the start-year analysis for its rate and duration", async () => {
+  const { status, body } = await server.post("/api/analysis/success-grid", {
+    ...PLAN,
+    initialBalance: 1000000,
+    minRatePct: 4,
+    maxRatePct: 5,
+    rateStepPct: 1,
+    minDurationYears: 20,
+    maxDurationYears: 30,
+    durationStepYears: 10
+  });
+  assert.equal(status, 200, body.error);
+  assert.deepEqual(body.ratesPct, [4, 5]);
+  assert.deepEqual(body.durations, [20, 30]);
+
+  const cell = body.cells[1][1];
+  const rate = await successRate({ initialBalance: 1000000, withdrawValue: 5, durationYears: 30 });
+  assert.equal(cell.successRate * 100, rate);
+  // Higher rates never succeed more often over the same duration
+  assert.ok(body.cells[0][1].successRate >= body.cells[1][1].successRate);
+});
+
+test("success-grid: finer start cadences allow fewer cells", async () => {
+  const grid = { ...PLAN, initialBalance: 1000000, minRatePct: 3, maxRatePct: 5, rateStepPct: 0.5, minDurationYears: 20 };
+  // 5 rates x 7 durations: within the annual limit, past the monthly one
+  const wide = { ...grid, maxDurationYears: 26, durationStepYears: 1 };
+  const annual = await server.post("/api/analysis/success-grid", { ...wide, startCadence: "annual" });
+  assert.equal(annual.status, 200, annual.body.error);
+
+  const monthly = await server.post("/api/analysis/success-grid", { ...wide, startCadence: "monthly" });
+  assert.equal(monthly.status, 400);
+  assert.match(monthly.body.error, /at most 33 are allowed with monthly starts/);
+
+  const small = await server.post("/api/analysis/success-grid", { ...grid, maxDurationYears: 20, startCadence: "monthly" });
+  assert.equal(small.status, 200, small.body.error);
+  assert.equal(small.body.startCadence, "monthly");
+});
@@ -0,0 +1,57 @@
+// The solvers' answers fed back into the start-year analysis must land on the right side
+// of the target: the solved value meets it, the first failing value tried does not.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const PLAN = { durationYears: 30, withdrawMode: "percentOfInitial", inflationSource: "historical" };
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+async function successRate(body) {
+  const { status, body: out } = await server.post("/api/analysis/retirement-success", { ...PLAN, ...body });
+  assert.equal(status, 200, out.error);
+  return out.summary.successRate * 100;
+}
+
+test("swr-solver: the solved rate meets the target and the first failing rate does not", async () => {
+  const target = 90;
+  const { status, body } = await server.post("/api/analysis/swr-solver", {
+    ...PLAN,
+    initialBalance: 1000000,
+    targetSuccessRatePct: target
+  });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.solved, true);
+  assert.equal(body.capped, false);
+  assert.ok(body.firstFailingRatePct - body.solvedRatePct <= 0.01 + 1e-9);
+
+  assert.ok((await successRate({ initialBalance: 1000000, withdrawValue: body.solvedRatePct })) >= target);
+  assert.ok((await successRate({ initialBalance: 1000000, withdrawValue: body.firstFailingRatePct })) < target);
+});
+
+test("swr-solver: reports capped when the top of the range still meets the target", async () => {
+  const { status, body } = await server.post("/api/analysis/swr-solver", {
+    ...PLAN,
+    initialBalance: 1000000,
+    targetSuccessRatePct: 50,
+    maxRatePct: 2
+  });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.capped, true);
+  assert.equal(body.solvedRatePct, 2);
+  assert.equal(body.firstFailingRatePct, null);
+});
+
+test("swr-solver: rejects a target outside (0, 100]", async () => {
+  const { status } = await server.post("/api/analysis/swr-solver", {
+    ...PLAN,
+    initialBalance: 1000000,
+    targetSuccessRatePct: 120
+  });
+  assert.equal(status, 400);
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { WITHDRAWAL_ORDERS, createTaxState, drawFromAccounts, settleTaxYear } = require("../lib/taxes");
+
+const accountsState = (withdrawalOrder, initialBalance) =>
+  createTaxState({
+    accounts: { taxable: 50, taxDeferred: 50 },
+    initialBalance,
+    withdrawalOrder,
+    filingStatus: "single"
+  });
+
+for (const order of WITHDRAWAL_ORDERS) {
+  test(`${order}: gross withdrawals count only what the accounts held`, () => {
+    const state = accountsState(order, 1000);
+    drawFromAccounts(state, 600);
+    drawFromAccounts(state, 600);
+    assert.ok(Math.abs(state.ytd.grossWithdrawn - 1000) < 1e-9);
+
+    // Empty accounts add nothing
+    drawFromAccounts(state, 600);
+    const year = settleTaxYear(state, 2000);
+    assert.ok(Math.abs(year.grossWithdrawn - 1000) < 1e-9);
+    const byAccount = year.withdrawnByAccount.taxable + year.withdrawnByAccount.taxDeferred;
+    assert.ok(Math.abs(byAccount - year.grossWithdrawn) < 1e-9);
+  });
+}
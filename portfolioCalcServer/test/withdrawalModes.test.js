@@ -0,0 +1,194 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.stop());
+
+const close = (actual, expected, message) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9 * Math.max(1, Math.abs(expected)), message || `${actual} != ${expected}`);
+
+async function simulate(body) {
+  const { status, body: out } = await server.post("/api/sim/retirement", {
+    initialBalance: 1000000,
+    durationYears: 10,
+    startMonth: "1970-01",
+    withdrawFrequency: "annual",
+    ...body
+  });
+  assert.equal(status, 200, out.error);
+  return out;
+}
+
+const januaries = (out) => out.series.filter((s) => s.month.endsWith("-01"));
+
+// Payment that amortizes the balance over yearsLeft at real return r
+const amortizationRate = (r, yearsLeft) => (yearsLeft <= 1 ? 1 : r / (1 - (1 + r) ** -yearsLeft));
+
+test("VPW follows the amortization table over the years left", async () => {
+  const out = await simulate({ withdrawMode: "vpw" });
+  const years = januaries(out);
+  assert.equal(years.length, 10);
+
+  years.forEach((s, k) => {
+    // 100% stocks: 5% expected real return
+    const rate = amortizationRate(0.05, 10 - k);
+    close(s.vpwRatePct, rate * 100, s.month);
+    close(s.withdrawal, (s.value + s.withdrawal) * rate, s.month);
+  });
+  // The last year withdraws everything that is left
+  assert.equal(years.at(-1).vpwRatePct, 100);
+  assert.equal(out.endingValue, 0);
+});
+
+test("VPW blends the allocation's real returns unless one is given, and honours the horizon", async () => {
+  const blended = await simulate({ withdrawMode: "vpw", allocation: { stocks: 60, cash: 40 } });
+  close(januaries(blended)[0].vpwRatePct, amortizationRate(0.03, 10) * 100);
+
+  const given = await simulate({ withdrawMode: "vpw", vpwRealReturnPct: 0, vpwHorizonYears: 40 });
+  januaries(given).forEach((s, k) => close(s.vpwRatePct, 100 / (40 - k), s.month));
+
+  const { status } = await server.post("/api/sim/retirement", {
+    initialBalance: 1000000,
+    durationYears: 10,
+    startMonth: "1970-01",
+    withdrawMode: "vpw",
+    vpwHorizonYears: 5
+  });
+  assert.equal(status, 400);
+});
+
+test("Vanguard dynamic spending holds each year's real change between the floor and the ceiling", async () => {
+  const out = await simulate({
+    withdrawMode: "vanguardDynamic",
+    withdrawValue: 4,
+    durationYears: 20,
+    inflationSource: "fixed"
+  });
+  const years = januaries(out);
+  assert.equal(years[0].dynamicRule, "initial");
+  close(years[0].withdrawal, (years[0].value + years[0].withdrawal) * 0.04);
+
+  const seen = new Set();
+  for (let k = 1; k < years.length; k++) {
+    const s = years[k];
+    const prior = years[k - 1].withdrawal * 1.03;
+    const target = (s.value + s.withdrawal) * 0.04;
+    const rule = target > prior * 1.05 ? "ceiling" : target < prior * 0.975 ? "floor" : "target";
+    const expected = { ceiling: prior * 1.05, floor: prior * 0.975, target }[rule];
+
+    assert.equal(s.dynamicRule, rule, s.month);
+    close(s.withdrawal, expected, s.month);
+    seen.add(rule);
+  }
+  assert.deepEqual([...seen].sort(), ["ceiling", "floor", "target"]);
+});
+
+test("Vanguard dynamic spending defaults to historical CPI, or to the fixed assumption on generated paths", async () => {
+  const plan = { initialBalance: 1000000, durationYears: 30, withdrawMode: "vanguardDynamic", withdrawValue: 4 };
+  const historical = await simulate({ withdrawMode: "vanguardDynamic", withdrawValue: 4 });
+  assert.equal(historical.inflationSource, "historical");
+
+  const parametric = await server.post("/api/analysis/retirement-parametric", { ...plan, trials: 20, seed: 1 });
+  assert.equal(parametric.status, 200, parametric.body.error);
+
+  const explicit = await server.post("/api/analysis/retirement-parametric", {
+    ...plan,
+    trials: 20,
+    seed: 1,
+    inflationSource: "historical"
+  });
+  assert.equal(explicit.status, 400);
+});
+
+test("RMD withdrawals divide the balance by the Uniform Lifetime divisor for each year's age", async () => {
+  const out = await simulate({ withdrawMode: "rmd", retireeAge: 70, durationYears: 6 });
+  const years = januaries(out);
+
+  // Ages 70 and 71 use the first (age 72) divisor
+  assert.deepEqual(years.map((s) => s.rmdDivisor), [27.4, 27.4, 27.4, 26.5, 25.5, 24.6]);
+  for (const s of years) close(s.withdrawal, (s.value + s.withdrawal) / s.rmdDivisor, s.month);
+
+  const monthly = await simulate({ withdrawMode: "rmd", retireeAge: 119, durationYears: 3, withdrawFrequency: "monthly" });
+  const last = monthly.series.at(-1);
+  assert.equal(last.rmdDivisor, 2.0);
+  close(last.withdrawal, (last.value + last.withdrawal) / 2.0 / 12);
+
+  const { status, body } = await server.post("/api/sim/retirement", {
+    initialBalance: 1000000,
+    durationYears: 10,
+    startMonth: "1970-01",
+    withdrawMode: "rmd"
+  });
+  assert.equal(status, 400);
+  assert.match(body.error, /retireeAge/);
+});
+
+test("ratchets raise spending on anniversaries above the threshold, at most once per interval", async () => {
+  const out = await simulate({ withdrawMode: "ratchet", withdrawValue: 4, startMonth: "1982-01", durationYears: 20 });
+  const years = januaries(out);
+
+  let factor = 1;
+  let lastRatchet = null;
+  let ratchets = 0;
+  years.forEach((s, k) => {
+    const balance = s.value + s.withdrawal;
+    const due = k > 0 && balance >= 1.5 * 1000000 && (lastRatchet === null || k - lastRatchet >= 3);
+    if (due) {
+      factor *= 1.1;
+      lastRatchet = k;
+      ratchets++;
+    }
+    assert.equal(s.ratchetEvent, due, s.month);
+    close(s.ratchetFactor, factor, s.month);
+    close(s.withdrawal, 40000 * 1.03 ** k * factor, s.month);
+  });
+  assert.ok(ratchets >= 3);
+
+  // Other months never ratchet
+  assert.ok(out.series.every((s) => s.month.endsWith("-01") || !s.ratchetEvent));
+});
+
+test("ratchet threshold, size and interval are configurable", async () => {
+  const plan = { withdrawMode: "ratchet", withdrawValue: 4, startMonth: "1982-01", durationYears: 20 };
+  const out = await simulate({ ...plan, ratchetThresholdPct: 120, ratchetPct: 5, ratchetEveryYears: 1 });
+  const events = januaries(out).filter((s) => s.ratchetEvent);
+  const defaults = januaries(await simulate(plan)).filter((s) => s.ratchetEvent);
+
+  assert.ok(events.length > defaults.length);
+  close(events.at(-1).ratchetFactor, 1.05 ** events.length);
+});
+
+test("drawdown cuts apply the deepest tier reached and lift as the balance recovers", async () => {
+  const drawdownTiers = [
+    { drawdownPct: 10, cutPct: 5 },
+    { drawdownPct: 25, cutPct: 20 }
+  ];
+  const out = await simulate({
+    withdrawMode: "drawdownCuts",
+    withdrawValue: 4,
+    withdrawFrequency: "monthly",
+    startMonth: "1999-01",
+    drawdownTiers
+  });
+
+  let peak = 1000000;
+  const cuts = new Set();
+  for (const s of out.series) {
+    // The tiers measure the balance before the month's withdrawal, in the dollars spending is indexed to
+    const real = (s.value + s.withdrawal) / s.inflationFactor;
+    peak = Math.max(peak, real);
+    const drawdown = 1 - real / peak;
+    const cut = drawdown >= 0.25 ? 20 : drawdown >= 0.1 ? 5 : 0;
+
+    assert.equal(s.spendingCutPct, cut, s.month);
+    close(s.withdrawal, (40000 / 12) * s.inflationFactor * (1 - cut / 100), s.month);
+    cuts.add(cut);
+  }
+  assert.deepEqual([...cuts].sort((a, b) => a - b), [0, 5, 20]);
+  assert.ok(out.series.some((s, i) => i > 0 && s.spendingCutPct < out.series[i - 1].spendingCutPct));
+  assert.equal(out.monthsReducedSpending, out.series.filter((s) => s.spendingCutPct > 0).length);
+});